@@ -0,0 +1,125 @@
+"use strict";
+
+/*
+ * Benchmark the router's route table (radix tree) against Express's dispatch,
+ * which matches the path of a request against every route in turn.
+ *
+ * Usage: npm run bench [-- <routes> <requests>], e.g. npm run bench -- 2000 10000
+ */
+
+const http = require("http");
+const net = require("net");
+const express = require("express");
+const createRouter = require("../lib/create-router");
+
+const ROUTES = Number(process.argv[2]) || 2000;
+const REQUESTS = Number(process.argv[3]) || 10000;
+
+/**
+ * Create the routes of the benchmark: every resource has an index route and a route with params,
+ * e.g. GET /resource-12 and GET /resource-12/{id}/items/{item}.
+ *
+ * @param {Object} router
+ * @param {Function} handler
+ */
+function defineRoutes(router, handler) {
+  for(let index = 0; index < ROUTES / 2; index++) {
+    router.get(`/resource-${index}`, handler);
+    router.get({ uri: `/resource-${index}/{id}/items/{item}`, patterns: { id: /^\d+$/ } }, handler);
+  }
+}
+
+/**
+ * Get the path of the n-th request, spread evenly over the routes.
+ *
+ * @param {Number} n
+ * @return {String}
+ */
+function requestPath(n) {
+  const index = (n * 7919) % (ROUTES / 2);
+
+  return n % 2 ? `/resource-${index}` : `/resource-${index}/${n}/items/item-${n}`;
+}
+
+/**
+ * Create a request (and its response) that is dispatched without a network connection.
+ *
+ * @param {String} path
+ * @return {Array}: [req, res]
+ */
+function createRequest(path) {
+  const req = new http.IncomingMessage(new net.Socket());
+
+  req.method = "GET";
+  req.url = path;
+  req.headers = { host: "localhost" };
+
+  return [req, new http.ServerResponse(req)];
+}
+
+/**
+ * Time a (possibly asynchronous) function over every request.
+ *
+ * @param {String} label
+ * @param {Function} fn: (path) => void, or a promise
+ */
+async function time(label, fn) {
+  const start = process.hrtime.bigint();
+
+  for(let n = 0; n < REQUESTS; n++) {
+    await fn(requestPath(n));
+  }
+
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+
+  console.log(`${label.padEnd(20)} ${ms.toFixed(1).padStart(9)} ms ${(ms * 1000 / REQUESTS).toFixed(2).padStart(9)} µs/request`);
+}
+
+/**
+ * Create a dispatcher: (path) => promise, which resolves once the route handler is called.
+ *
+ * @param {Function} defineHandle: (handler) => (req, res, done) => void, the request handler to dispatch to
+ * @return {Function}
+ */
+function dispatcher(defineHandle) {
+  let resolve;
+  const handle = defineHandle(() => resolve());
+
+  return (path) => new Promise((resolveRequest, reject) => {
+    resolve = resolveRequest;
+    handle(...createRequest(path), (err) => reject(err || new Error(`No route handled ${path}.`)));
+  });
+}
+
+async function main() {
+  const expressDispatch = dispatcher((handler) => {
+    const app = express();
+
+    defineRoutes(createRouter(app), handler);
+
+    return (req, res, done) => app.handle(req, res, done);
+  });
+
+  const genericRouter = createRouter();
+
+  const handlerDispatch = dispatcher((handler) => {
+    defineRoutes(genericRouter, handler);
+
+    return genericRouter.handler();
+  });
+
+  console.log(`${ROUTES} routes, ${REQUESTS} requests`);
+
+  await time("Express dispatch", expressDispatch);
+  await time("router.handler()", handlerDispatch);
+  await time("router.match()", (path) => {
+    if(!genericRouter.match("get", path)) {
+      throw new Error(`No route matched ${path}.`);
+    }
+  });
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -1,13 +1,19 @@
 "use strict";
 
 const createRouter = require("./lib/create-router");
+const formatRouteList = require("./lib/format-route-list");
 const laravelToExpress = require("./lib/laravel-to-express");
 const uriWithParams = require("./lib/uri-with-params");
 const paramsFromUri = require("./lib/params-from-uri");
+const Limit = require("./lib/limit");
+const MemoryStore = require("./lib/memory-store");
 
 module.exports = {
   createRouter,
+  formatRouteList,
   laravelToExpress,
   uriWithParams,
-  paramsFromUri
+  paramsFromUri,
+  Limit,
+  MemoryStore
 };
@@ -0,0 +1,91 @@
+"use strict";
+
+const TRUE_VALUES = ["true", "1", "yes", "on"];
+const FALSE_VALUES = ["false", "0", "no", "off"];
+
+/*
+ * The built-in casts, keyed by type.
+ * Each cast returns the typed value, or throws if the value cannot be cast.
+ */
+const CASTS = {
+  int(value) {
+    const number = Number(value);
+
+    if(!/^[-+]?\d+$/.test(value) || !Number.isSafeInteger(number)) {
+      throw new TypeError(`"${value}" is not an integer.`);
+    }
+
+    return number;
+  },
+
+  float(value) {
+    const number = Number(value);
+
+    if(`${value}`.trim() === "" || !Number.isFinite(number)) {
+      throw new TypeError(`"${value}" is not a number.`);
+    }
+
+    return number;
+  },
+
+  bool(value) {
+    const lowercase = `${value}`.toLowerCase();
+
+    if(TRUE_VALUES.includes(lowercase)) {
+      return true;
+    }
+
+    if(FALSE_VALUES.includes(lowercase)) {
+      return false;
+    }
+
+    throw new TypeError(`"${value}" is not a boolean.`);
+  },
+
+  date(value) {
+    const date = new Date(value);
+
+    if(Number.isNaN(date.getTime())) {
+      throw new TypeError(`"${value}" is not a date.`);
+    }
+
+    return date;
+  },
+
+  string(value) {
+    return `${value}`;
+  }
+};
+
+CASTS.integer = CASTS.int;
+CASTS.number = CASTS.float;
+CASTS.boolean = CASTS.bool;
+
+/**
+ * Determine if a cast type is supported.
+ *
+ * @param {String|Function} type
+ * @return {Boolean}
+ */
+function isCastType(type) {
+  return typeof type === "function" || Object.prototype.hasOwnProperty.call(CASTS, type);
+}
+
+/**
+ * Cast a (string) route param value to the given type.
+ *
+ * @param {String} value
+ * @param {String|Function} type: One of "int" (or "integer"), "float" (or "number"),
+ *   "bool" (or "boolean"), "date", "string", or a custom cast function: (value) => typedValue,
+ *   which must throw if the value cannot be cast.
+ * @return {*}
+ * @throws {TypeError}: If the value cannot be cast to the type
+ */
+function castParam(value, type) {
+  return typeof type === "function" ? type(value) : CASTS[type](value);
+}
+
+module.exports = {
+  castParam,
+  isCastType
+};
@@ -0,0 +1,37 @@
+"use strict";
+
+const http = require("http");
+const { castParam } = require("./cast-param");
+const sendResponse = require("./send-response");
+
+/**
+ * Create a middleware that casts the (string) values of route params
+ * to the types declared by the route, e.g. { id: "int", at: "date" },
+ * so that the handlers that follow receive typed `req.params`.
+ *
+ * If a value cannot be cast, a response with the given status is sent.
+ *
+ * @param {Object} casts: The types of the params, keyed by param name
+ * @param {Number} status: The status of the response sent when a value cannot be cast
+ * @return {Function}
+ */
+module.exports = function castParams(casts, status = 404) {
+  return function castParams(req, res, next) {
+    for(const [param, type] of Object.entries(casts)) {
+      const value = req.params[param];
+
+      if(typeof value !== "string") {
+        continue;
+      }
+
+      try {
+        req.params[param] = castParam(value, type);
+      } catch {
+        sendResponse(res, status, http.STATUS_CODES[status] || "Error");
+        return;
+      }
+    }
+
+    next();
+  };
+};
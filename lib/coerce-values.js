@@ -0,0 +1,93 @@
+"use strict";
+
+/**
+ * Coerce a string to a (JSON schema) type, like Ajv's `coerceTypes` option does.
+ *
+ * @param {String} value
+ * @param {String} type: e.g. "integer", "number", "boolean" or "null"
+ * @return {*}: The coerced value, or undefined if the string cannot be coerced to the type
+ */
+function coerceValue(value, type) {
+  switch(type) {
+  case "integer":
+  case "number": {
+    const number = value.trim() === "" ? NaN : Number(value);
+
+    return Number.isFinite(number) && (type === "number" || Number.isInteger(number)) ? number : undefined;
+  }
+
+  case "boolean":
+    if(value === "true" || value === "false") {
+      return value === "true";
+    }
+
+    return undefined;
+
+  case "null":
+    return value === "" ? null : undefined;
+
+  default:
+    return undefined;
+  }
+}
+
+/**
+ * Coerce a string to the first of the types declared by a schema that it can be coerced to.
+ * Other values, and strings that are allowed by the schema (or that cannot be coerced), are left as is.
+ *
+ * @param {Object} schema
+ * @param {*} value
+ * @return {*}
+ */
+function coerce(schema, value) {
+  if(typeof value !== "string" || !schema || schema.type === undefined) {
+    return value;
+  }
+
+  const types = [].concat(schema.type);
+
+  if(types.includes("string")) {
+    return value;
+  }
+
+  for(const type of types) {
+    const coerced = coerceValue(value, type);
+
+    if(coerced !== undefined) {
+      return coerced;
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Coerce the (string) values of an object, e.g. the params or query of a request,
+ * to the types that their properties declare in an object schema, e.g. "2" to 2 for { type: "integer" }.
+ * The items of array values are coerced to the type of the `items` of their property.
+ *
+ * @param {Object} schema
+ * @param {Object} values
+ * @return {Object}: A copy of the values, with the coerced values
+ */
+module.exports = function coerceValues(schema, values) {
+  if(!schema || !schema.properties || !values || typeof values !== "object") {
+    return values;
+  }
+
+  const coerced = Object.assign({}, values);
+
+  for(const [property, value] of Object.entries(coerced)) {
+    if(!Object.prototype.hasOwnProperty.call(schema.properties, property)) {
+      continue;
+    }
+
+    const propertySchema = schema.properties[property];
+
+    coerced[property] = Array.isArray(value) && propertySchema && propertySchema.items
+      ? value.map(item => coerce(propertySchema.items, item))
+      : coerce(propertySchema, value);
+  }
+
+  return coerced;
+};
@@ -0,0 +1,11 @@
+"use strict";
+
+/**
+ * Count the capturing groups in a regex (string) pattern.
+ *
+ * @param {String} pattern
+ * @return {Number}
+ */
+module.exports = function countCaptureGroups(pattern) {
+  return new RegExp(`${pattern}|`).exec("").length - 1;
+};
@@ -1,8 +1,37 @@
 "use strict";
 
+const fs = require("fs");
+const http = require("http");
 const path = require("path");
+const qs = require("qs");
+const { isCastType } = require("./cast-param");
+const castParams = require("./cast-params");
+const escapeRegex = require("./escape-regex");
+const compileSchema = require("./json-schema");
 const laravelToExpress = require("./laravel-to-express");
+const Limit = require("./limit");
+const MemoryStore = require("./memory-store");
+const paramsFromUri = require("./params-from-uri");
+const redirectTo = require("./redirect-to");
+const { requestHost, requestRoot } = require("./request-root");
+const createOpenApiDocument = require("./openapi");
+const { serializeRoutes, deserializeRoutes } = require("./route-cache");
+const { diagnoseRoute, diagnoseRoutes } = require("./route-diagnostics");
+const restrictDomain = require("./restrict-domain");
+const excludeMiddleware = require("./exclude-middleware");
+const resolveMiddleware = require("./resolve-middleware");
+const resourceRoutes = require("./resource-routes");
+const { isControllerAction, resolveAction } = require("./resolve-action");
+const createRouteTable = require("./route-table");
+const runHandlers = require("./run-handlers");
+const sendResponse = require("./send-response");
+const substituteBindings = require("./substitute-bindings");
+const throttleRequests = require("./throttle-requests");
 const uriWithParams = require("./uri-with-params");
+const validateRequest = require("./validate-request");
+const validateResponse = require("./validate-response");
+const { signUrl, verifyUrlSignature } = require("./url-signature");
+const wherePatterns = require("./where-patterns");
 
 // match a pure express route param regex such as 
 // :id(\\d+), in e.g., /foo/:id(\\d+)
@@ -18,19 +47,33 @@ const uriWithParams = require("./uri-with-params");
 const URI_PARAMS_REGEX = /((:\w+|{\w+})(\([\\]+[^()]*\)))/g;
 const BACKSLASH_REGEX = /\\/g;
 const PARENS_BACKSLASH_REGEX = /(\([\\]+[^()]*\))/g; // /\(([\\]+)\)/g;
+const RESPONSE_VALIDATION_ENVS = ["development", "test"];
+const FALLBACK_URI = "/{fallbackPlaceholder?}";
+const ANY_METHODS = ["get", "head", "post", "put", "patch", "delete", "options"];
+const INLINE_LIMIT_REGEX = /^(\d+)(?:,(\d+))?$/;
+const SIGNING_KEY_REQUIRED = "Signed urls require the `signingKey` option of createRouter().";
+const ROOT_REQUIRED = "Absolute urls require the `baseUrl` option of createRouter(), or the `req` option.";
 const defaultGroupOptions = {
   prefix: "/",
+  domain: "",
   middleware: [],
   namespace: "",
+  controllerNamespace: "",
+  withoutMiddleware: [],
+  throttle: [],
   patterns: {},
+  casts: {},
   meta: {}
 };
 const defaultRouteOptions = {
   method: "get",
   uri: "/",
   middleware: [],
+  withoutMiddleware: [],
+  throttle: [],
   name: "",
   patterns: {},
+  casts: {},
   meta: {}
 };
 const proxy = {
@@ -88,11 +131,122 @@ function formatUriAndPatterns(uri) {
   return { uri, patterns };
 }
 
+/**
+ * Collect the fallback routes (see the router's fallback() method) of a router and its route groups.
+ *
+ * @param {Router} router
+ * @return {Array}
+ */
+function collectFallbacks(router) {
+  return router.routeGroups.reduce(
+    (fallbacks, group) => fallbacks.concat(collectFallbacks(group)),
+    router.routes.filter(route => route.fallback)
+  );
+}
+
+/**
+ * Sort fallback routes from the most specific (longest) uri to the least specific,
+ * so that, e.g., the fallback of an /api group is tried before the fallback of the router.
+ * Fallbacks with equally long uris keep the order they were created in.
+ *
+ * @param {Array} fallbacks
+ * @return {Array}
+ */
+function sortFallbacks(fallbacks) {
+  const depth = (route) => route.uri.split("/").filter(segment => segment.length > 0).length;
+
+  return fallbacks.slice().sort((a, b) => depth(b) - depth(a));
+}
+
+/**
+ * Get the JSON schemas of the responses of a route from its meta data:
+ * the JSON content schemas of the `responses` (an OpenAPI responses object, keyed by status),
+ * and the `payloadSchema`, which describes the 200 response (unless `responses` does).
+ *
+ * @param {Object} meta
+ * @return {Object}: The schemas, keyed by status, e.g. "200", "2XX" or "default"
+ */
+function responseSchemas(meta) {
+  const schemas = {};
+
+  if(meta.payloadSchema) {
+    schemas["200"] = meta.payloadSchema;
+  }
+
+  for(const [status, response] of Object.entries(meta.responses || {})) {
+    const schema = response?.content?.["application/json"]?.schema;
+
+    if(schema) {
+      schemas[status] = schema;
+    }
+  }
+
+  return schemas;
+}
+
+/**
+ * Get the param casts of a route (or group) from its options:
+ * the `casts` option, and the casts implied by the "where" helper options,
+ * i.e., whereNumber implies casting to an integer.
+ *
+ * @param {Object} options
+ * @return {Object}
+ */
+function castsFromOptions(options) {
+  const casts = {};
+
+  for(const param of [].concat(options.whereNumber || [])) {
+    casts[param] = "int";
+  }
+
+  return Object.assign(casts, options.casts);
+}
+
 /**
  * Create and return Router.
  *
  * @param {Object} app (optional): An Express app instance
  * @param {Function} mapActionToHandler (optional)
+ * @param {Object} options (optional):
+ *    - {Object|String} controllers: The controllers that Laravel-style string actions
+ *      (e.g. "UserController@show") and array actions (e.g. [UserController, "show"]) resolve to.
+ *      Either an object of controllers keyed by name,
+ *      or the path to a directory to load (require) the controllers from.
+ *      Without it, controller actions are passed as is to a custom mapActionToHandler.
+ *    - {Function} missingModel: The default callback, (req, res, next) => {},
+ *      for bound route params whose resolver returns nothing (see the bind() method).
+ *      By default, a 404 response is sent.
+ *    - {Number} castFailureStatus: The status of the response sent
+ *      when a route param cannot be cast to its type (see the `casts` route option). Defaults to 404.
+ *    - {String} signingKey: The secret key used to sign (and verify) signed urls
+ *    - {Object} rateLimitStore: The store that counts the attempts of rate limited requests
+ *      (see the `throttle` route option), with an increment(key, decaySeconds) method that returns
+ *      (a promise of) { hits, resetTime }. Defaults to an in-memory store (see lib/memory-store.js).
+ *    - {Boolean} validateRequests: Whether to validate the params, query and body of requests
+ *      against the `requestSchema` (JSON schema) in the meta data of their route, if any.
+ *      Invalid requests get a 422 response with the validation errors.
+ *    - {Function} schemaValidator: The function that compiles JSON schemas into validation functions,
+ *      (schema) => (data) => errors, where errors is a (possibly empty) list of { pointer, message }.
+ *      Defaults to a built-in validator that supports a subset of JSON Schema (see lib/json-schema.js).
+ *    - {String} validateResponses: Whether to validate the JSON responses of routes
+ *      against the `payloadSchema` (and `responses`) in the meta data of the route, if any,
+ *      and how to report responses that do not match their schema: "warn" (emit a warning) or "throw".
+ *      Responses are only validated in the "development" and "test" environments.
+ *    - {String} env: The environment, which defaults to process.env.NODE_ENV (or "development")
+ *    - {String} baseUrl: The root url (scheme and host) of absolute urls, e.g. "https://example.com"
+ *    - {Boolean} strict: Whether to throw an error when creating a route with the name of an existing route,
+ *      or with the method and uri of an existing route, and to emit a warning when creating a shadowed route
+ *      (see the validate() method)
+ *    - {Boolean} trustProxy: Whether to respect the X-Forwarded-Proto and X-Forwarded-Host headers
+ *      when deriving the root url of absolute urls from a request
+ *    - {Boolean} automaticOptions: Whether to respond to OPTIONS requests that no route handles
+ *      with the methods allowed for the uri (in the Allow header). Defaults to true.
+ *      (Express apps respond to such requests themselves, so setting it to false has no effect on them.)
+ *    - {Boolean} automaticHead: Whether to dispatch HEAD requests to GET routes. Defaults to true.
+ *      (Express apps always do.)
+ *    - {Boolean} methodNotAllowed: Whether to respond with a 405 (and the allowed methods in the Allow header)
+ *      to requests that no route handles, but whose uri matches routes with other methods
+ *      (instead of a 404, or trying the fallback routes). Defaults to true.
  * @return {Router}
  *
  * ----------------
@@ -124,7 +278,9 @@ function formatUriAndPatterns(uri) {
  *    // See the README docs for more info.
  *    // Routing is NOT automatically applied after setup.
  *    // To apply the routing call the `apply()` method on the router,
- *    // passing in your custom routing function.
+ *    // passing in your custom routing function,
+ *    // or dispatch requests using the router's built-in request handler:
+ *    // http.createServer(router.handler());
  *
  * 4. Generic Node app with custom action handler:
  *    const router = createRouter(mapActionToHandler);
@@ -134,18 +290,296 @@ function formatUriAndPatterns(uri) {
  *    // To apply the routing call the `apply()` method on the router,
  *    // passing in your custom routing function.
  *
+ * 5. With options (for any of the above):
+ *    const router = createRouter(app, { controllers: { UserController } });
+ *    router.get("/users/{user}", "UserController@show");
+ *
  */
-module.exports = function createRouter(...args) {
+function createRouter(...args) {
   /*
    * Express app instance
    */
   let app;
   let mapActionToHandler = (action) => action;
+  /*
+   * Whether the app supplied its own mapActionToHandler,
+   * which then maps controller actions itself (unless the `controllers` option is set)
+   */
+  let hasCustomMapper = false;
+  let routerOptions = {};
   const namedUrls = {};
 
-  if(args.length === 1) {
-    const arg = args[0];
+  /*
+   * Instances of the controller classes that actions resolve to
+   */
+  const controllerInstances = new Map();
+
+  /*
+   * Middleware (and middleware factories) keyed by alias,
+   * and lists of middleware keyed by middleware group name
+   */
+  const middlewareAliases = {};
+  const middlewareGroups = {};
+
+  /**
+   * Determine if the request has a valid signature (see the router's signedUrl() method).
+   * Absolute signed urls are verified against the root of the request,
+   * while the urls of routes restricted to a domain are only valid when signed along with their host.
+   *
+   * @param {Object} req
+   * @return {Boolean}
+   */
+  function hasValidSignature(req) {
+    const url = req.originalUrl || req.url;
+    const route = currentRoutes.get(req);
+
+    if(verifyUrlSignature(requestRoot(req, routerOptions.trustProxy) + url, routerOptions.signingKey)) {
+      return true;
+    }
+
+    return !(route && route.domain) && verifyUrlSignature(url, routerOptions.signingKey);
+  }
+
+  /*
+   * Built-in middleware aliases
+   */
+  middlewareAliases.signed = function signed(req, res, next) {
+    if(!routerOptions.signingKey) {
+      next(new Error(SIGNING_KEY_REQUIRED));
+      return;
+    }
+
+    if(!hasValidSignature(req)) {
+      sendResponse(res, 403, "Invalid signature.");
+      return;
+    }
+
+    next();
+  };
+
+  /*
+   * Rate limiters, (req) => Limit, keyed by name,
+   * and the store that counts the attempts of the rate limits
+   */
+  const rateLimiters = {};
+  let rateLimitStore;
+
+  /*
+   * Route param bindings (resolvers), keyed by param name
+   */
+  const bindings = {};
+
+  /*
+   * Router-wide (regex) patterns, keyed by param name
+   */
+  const globalPatterns = {};
+
+  /*
+   * Every route created by the router and its route groups,
+   * compiled into a radix tree for matching requests.
+   */
+  const routeTable = createRouteTable();
+
+  /*
+   * Every route created by the router and its route groups, in the order they were created
+   */
+  const routeRecords = [];
+
+  /*
+   * The route that is handling a request, keyed by request
+   */
+  const currentRoutes = new WeakMap();
+
+  /*
+   * The layers of the fallback routes in the stack of the Express app's router,
+   * keyed by route (the layers are kept after every other route, see the fallback() method)
+   */
+  const fallbackLayers = new Map();
+
+  /*
+   * The layer of the middleware that responds to requests with unsupported methods
+   * in the stack of the Express app's router (see the `methodNotAllowed` option of createRouter())
+   */
+  let methodNotAllowedLayer;
+
+  /**
+   * List the methods allowed for a uri, for the Allow header: the methods of the routes matching the uri,
+   * HEAD for GET routes (see the `automaticHead` option) and OPTIONS (see the `automaticOptions` option).
+   *
+   * @param {Array} routeMethods: The (lowercase) methods of the routes matching the uri
+   * @return {Array}: The (uppercase) methods
+   */
+  function allowedMethods(routeMethods) {
+    const methods = routeMethods.slice();
+
+    if(routerOptions.automaticHead !== false && methods.includes("get") && !methods.includes("head")) {
+      methods.splice(methods.indexOf("get") + 1, 0, "head");
+    }
+
+    if(routerOptions.automaticOptions !== false && !methods.includes("options")) {
+      methods.push("options");
+    }
+
+    return methods.map(method => method.toUpperCase());
+  }
+
+  /**
+   * Respond to a request that no route handles, if routes match its path (and host) for other methods only:
+   * OPTIONS requests get the allowed methods (see the `automaticOptions` option),
+   * and other requests get a 405 response (see the `methodNotAllowed` option).
+   *
+   * @param {String} pathname
+   * @param {Object} req
+   * @param {Object} res
+   * @return {Boolean}: Whether a response was sent
+   */
+  function respondToUnsupportedMethod(pathname, req, res) {
+    const routeMethods = routeTable.methods(pathname, requestHost(req, routerOptions.trustProxy))
+      .filter(method => method !== "all");
+    const method = req.method.toLowerCase();
+    const isSupported = routeMethods.includes(method) ||
+      (method === "head" && routerOptions.automaticHead !== false && routeMethods.includes("get"));
+
+    if(!routeMethods.length || isSupported) {
+      return false;
+    }
+
+    const methods = allowedMethods(routeMethods);
+    const headers = { Allow: methods.join(", ") };
+
+    if(method === "options" && routerOptions.automaticOptions !== false) {
+      sendResponse(res, 200, methods.join(", "), headers);
+      return true;
+    }
+
+    if(routerOptions.methodNotAllowed !== false) {
+      sendResponse(res, 405, http.STATUS_CODES[405], headers);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Move the layers that handle the requests that no route handles to the end of the Express app's router stack:
+   * the middleware that responds to requests with unsupported methods (if enabled),
+   * then the fallback routes, from the most specific fallback to the least specific.
+   */
+  function moveFallbacksLast() {
+    const stack = (app._router || app.router)?.stack;
+
+    if(!stack) {
+      return;
+    }
+
+    if(routerOptions.methodNotAllowed !== false && !methodNotAllowedLayer) {
+      app.use(function methodNotAllowed(req, res, next) {
+        if(!respondToUnsupportedMethod(req.path, req, res)) {
+          next();
+        }
+      });
+      methodNotAllowedLayer = stack[stack.length - 1];
+    }
+
+    const layers = [].concat(
+      methodNotAllowedLayer || [],
+      sortFallbacks([...fallbackLayers.keys()]).map(route => fallbackLayers.get(route))
+    );
+
+    for(const layer of layers) {
+      stack.splice(stack.indexOf(layer), 1);
+    }
+
+    stack.push(...layers);
+  }
+
+  /**
+   * Resolve a throttle (see the `throttle` route option) into the limits of a request,
+   * and the key that the attempts of the limits are counted by:
+   *    - named rate limiters (see the rateLimiter() method) count the attempts by the name,
+   *      so that the routes that share the rate limiter share the limits
+   *    - inline limits (e.g. "60,1" for 60 attempts per minute) count the attempts by the route
+   *
+   * @param {String} throttle: The name of a rate limiter, or an inline limit: "maxAttempts[,decayMinutes]"
+   * @param {String} routeKey: The key of the route, e.g. "get /users/{user}"
+   * @return {Object}: { key, limits }
+   * @throws {Error}: If the throttle is not a registered rate limiter, or an inline limit
+   */
+  function resolveThrottle(throttle, routeKey) {
+    if(Object.prototype.hasOwnProperty.call(rateLimiters, throttle)) {
+      return { key: throttle, limits: rateLimiters[throttle] };
+    }
+
+    const [, maxAttempts, decayMinutes = 1] = `${throttle}`.match(INLINE_LIMIT_REGEX) || [];
+
+    if(!maxAttempts) {
+      throw new Error(`The rate limiter "${throttle}" is not registered.`);
+    }
+
+    const limit = Limit.perMinutes(Number(decayMinutes), Number(maxAttempts));
+
+    return { key: routeKey, limits: () => limit };
+  }
+
+  /**
+   * Create a url for a route (see the url() method).
+   *
+   * @param {Object} route: { uri, patterns, domain }
+   * @param {Object} params
+   * @param {Object} options
+   * @param {Function} encode (optional): Encodes the param values, defaults to encodeURI
+   * @return {String}
+   */
+  function routeUrl(route, params, options, encode = encodeURI) {
+    const { absolute = false, req, ...queryOptions } = options;
+    const { uri, patterns, domain } = route;
+
+    if(!absolute && !domain) {
+      return uriWithParams({ uri, params, patterns, options: queryOptions, encode });
+    }
+
+    let root;
+
+    if(req) {
+      root = requestRoot(req, routerOptions.trustProxy);
+    } else if(routerOptions.baseUrl) {
+      root = routerOptions.baseUrl.replace(/\/+$/, "");
+    } else if(!domain) {
+      throw new Error(ROOT_REQUIRED);
+    }
+
+    if(!domain) {
+      return root + uriWithParams({ uri, params, patterns, options: queryOptions, encode });
+    }
+
+    // The domain params are filled in along with the uri params,
+    // by treating the domain as part of a protocol-relative url.
+    const url = uriWithParams({ uri: `//${domain}${uri}`, params, patterns, options: queryOptions, encode });
+    const scheme = root ? root.split("://")[0] : "http";
+
+    return `${scheme}:${url}`;
+  }
+
+  /**
+   * Create a url for the route with the given name (see routeUrl()).
+   *
+   * @param {String} name
+   * @param {Object} params
+   * @param {Object} options
+   * @param {Function} encode (optional)
+   * @return {String}
+   */
+  function namedRouteUrl(name, params, options, encode) {
+    const namedUrl = namedUrls[name];
 
+    if(!namedUrl) {
+      throw new Error(`No URL found for  "${name}"`);
+    }
+
+    return routeUrl(namedUrl, params, options, encode);
+  }
+
+  for(const arg of args) {
     /*
      * If the argument is an Express (or an Express-type) app,
      * assign it to the `app` variable.
@@ -154,9 +588,10 @@ module.exports = function createRouter(...args) {
       app = arg;
     } else if(typeof arg === "function") {
       mapActionToHandler = arg;
+      hasCustomMapper = true;
+    } else if(arg && typeof arg === "object") {
+      routerOptions = arg;
     }
-  } else if(args.length > 1) {
-    [app, mapActionToHandler] = args;
   }
 
   class Router {
@@ -192,6 +627,26 @@ module.exports = function createRouter(...args) {
        */
       this.metas = [];
 
+      /*
+       * Controller namespaces (prefixes of the controller names of actions)
+       */
+      this.controllerNamespaces = [];
+
+      /*
+       * Route param casts
+       */
+      this.casts = [];
+
+      /*
+       * Rate limiters (or inline limits) applied to the routes
+       */
+      this.throttles = [];
+
+      /*
+       * The domain (host) the routes are restricted to, e.g. "{account}.example.com"
+       */
+      this.domain = "";
+
       /*
        * Are we supporting lazy routing (true) or not (false).
        * For non-Express apps, we create the routes but
@@ -225,11 +680,19 @@ module.exports = function createRouter(...args) {
 
       const routeOptions = Object.assign({}, defaultRouteOptions, options);
 
-      routeOptions.method = routeOptions.method.toLowerCase();
-      
+      /*
+       * A route can be created for several methods at once (see the match() and any() methods),
+       * in which case a route is created for each method, sharing the name, middleware and action
+       */
+      const methods = [].concat(routeOptions.method).map(method => `${method}`.toLowerCase());
+      const verbs = methods.join("|");
+
+      // The route options (as passed to a custom mapActionToHandler) keep the first method as the `method`
+      routeOptions.method = methods[0];
+      routeOptions.methods = methods;
 
       //const uri = path.join.apply(null, this.uris.concat(`/${routeOptions.uri}`));
-      let uri = path.join.apply(null, this.uris.concat(`${routeOptions.uri}`));
+      let uri = path.join.apply(null, this.uris.concat(`${routeOptions.uri}`, routeOptions.fallback ? FALLBACK_URI : []));
 
       const { uri: url, patterns: formattedPatterns } = formatUriAndPatterns(uri);
 
@@ -240,23 +703,184 @@ module.exports = function createRouter(...args) {
         //routeOptions.patterns = { ...routeOptions.patterns, ...formattedPatterns };
       }
 
-      const middleware = this.middlewares.concat(routeOptions.middleware);
       const name = this.names.concat(routeOptions.name).join("");
-      const patterns = Object.assign.apply(null, [{}].concat(this.patterns, routeOptions.patterns));
+      const patterns = Object.assign.apply(null, [{}, globalPatterns].concat(
+        this.patterns,
+        routeOptions.patterns,
+        wherePatterns(routeOptions)
+      ));
       const meta = Object.assign.apply(null, [{}].concat(this.metas, routeOptions.meta));
+      const casts = Object.assign.apply(null, [{}].concat(this.casts, castsFromOptions(routeOptions)));
 
-      const stack = middleware.concat(mapActionToHandler(action, {
+      const currentRoute = {
+        method: methods[0],
+        methods,
         uri,
-        middleware,
-        name,
+        domain: this.domain,
+        name: routeOptions.name ? name : "",
         patterns,
         meta
-      }, routeOptions));
+      };
+
+      /*
+       * The resolved middleware entries: { name, handler }
+       */
+      let middlewareEntries;
+
+      /*
+       * The (string) reference to the action, for controller actions
+       */
+      let actionKey;
+
+      /*
+       * The rate limiters of the route (and its groups), listed once,
+       * so that a rate limiter of both a group and the route does not count the attempts twice
+       */
+      const throttleNames = [...new Set(this.throttles.concat(routeOptions.throttle))];
+
+      /*
+       * The rate limiters of the route, resolved into { key, limits }
+       */
+      let throttles;
+
+      /*
+       * The compiled request schema, if requests are validated
+       */
+      let validateSchema;
+
+      /*
+       * The compiled response schemas keyed by status, if responses are validated
+       */
+      let responseValidators;
+
+      try {
+        const registry = { aliases: middlewareAliases, groups: middlewareGroups };
+
+        middlewareEntries = excludeMiddleware(
+          resolveMiddleware(this.middlewares, registry),
+          routeOptions.withoutMiddleware,
+          registry
+        ).concat(resolveMiddleware(routeOptions.middleware, registry));
+
+        for(const [param, type] of Object.entries(casts)) {
+          if(!isCastType(type)) {
+            throw new Error(`The cast "${type}" of the param "${param}" is not supported.`);
+          }
+        }
+
+        if((routerOptions.controllers || !hasCustomMapper) && isControllerAction(action)) {
+          ({ handler: action, key: actionKey } = resolveAction(action, {
+            controllers: routerOptions.controllers,
+            namespace: this.controllerNamespaces.join(""),
+            instances: controllerInstances
+          }));
+        }
+
+        throttles = throttleNames.map(throttle => {
+          return resolveThrottle(throttle, `${verbs} ${this.domain}${uri}`);
+        });
+
+        const compile = routerOptions.schemaValidator || compileSchema;
+        const env = routerOptions.env || process.env.NODE_ENV || "development";
+
+        if(routerOptions.validateRequests && meta.requestSchema) {
+          validateSchema = compile(meta.requestSchema);
+        }
+
+        if(routerOptions.validateResponses && RESPONSE_VALIDATION_ENVS.includes(env)) {
+          const schemas = Object.entries(responseSchemas(meta));
+
+          if(schemas.length) {
+            responseValidators = Object.fromEntries(schemas.map(([status, schema]) => [status, compile(schema)]));
+          }
+        }
+
+        const diagnostics = routerOptions.strict
+          ? methods.flatMap(method => diagnoseRoute(Object.assign({}, currentRoute, { method }), routeRecords))
+          : [];
+
+        for(const diagnostic of diagnostics) {
+          if(diagnostic.type !== "shadowed-route") {
+            throw new Error(diagnostic.message);
+          }
+
+          process.emitWarning(diagnostic.message, "RouteWarning");
+        }
+      } catch(e) {
+        const route = routeOptions.name ? `"${name}"` : `${verbs.toUpperCase()} ${uri}`;
+
+        throw new Error(`Cannot create the route ${route}: ${e.message}`);
+      }
+
+      const middleware = middlewareEntries.map(entry => entry.handler);
+      const { required, optional } = paramsFromUri(uri);
+      const routeBindings = {};
+
+      for(const param of required.concat(optional)) {
+        if(bindings[param]) {
+          routeBindings[param] = bindings[param];
+        }
+      }
+
+      /*
+       * Routes restricted to a domain skip requests to other hosts before anything else.
+       * Then the route is recorded as the current route of the request (see the current() method).
+       * Params are cast before the middleware, requests are rate limited after the middleware
+       * (so that rate limiters can count the attempts by, e.g., the authenticated user),
+       * and bound params are resolved after that, but before the request is validated
+       * and the response validation is set up, right before the action
+       */
+      const currentRouteMiddleware = function setCurrentRoute(req, res, next) {
+        currentRoutes.set(req, currentRoute);
+        next();
+      };
+      const castMiddleware = Object.keys(casts).length
+        ? [castParams(casts, routerOptions.castFailureStatus)]
+        : [];
+      const throttleMiddleware = throttles.length
+        ? [throttleRequests(throttles, rateLimitStore || (rateLimitStore = routerOptions.rateLimitStore || new MemoryStore()))]
+        : [];
+      const bindingMiddleware = Object.keys(routeBindings).length
+        ? [substituteBindings(routeBindings, routerOptions.missingModel)]
+        : [];
+      const validationMiddleware = validateSchema ? [validateRequest(validateSchema, meta.requestSchema)] : [];
+      const responseValidationMiddleware = responseValidators
+        ? [validateResponse(responseValidators, {
+          route: routeOptions.name ? `"${name}"` : `${verbs.toUpperCase()} ${uri}`,
+          onMismatch: routerOptions.validateResponses
+        })]
+        : [];
+
+      const domainMiddleware = this.domain
+        ? [restrictDomain(this.domain, patterns, routerOptions.trustProxy)]
+        : [];
+
+      const stack = [].concat(
+        domainMiddleware,
+        currentRouteMiddleware,
+        castMiddleware,
+        middleware,
+        throttleMiddleware,
+        bindingMiddleware,
+        validationMiddleware,
+        responseValidationMiddleware,
+        routeOptions.redirect
+          ? redirectTo(routeOptions.redirect, (name, params) => namedRouteUrl(name, params, {}, encodeURIComponent))
+          : mapActionToHandler(action, {
+            uri,
+            methods,
+            middleware,
+            name,
+            patterns,
+            meta
+          }, routeOptions)
+      );
 
       if(routeOptions.name) {
         namedUrls[name] = {
           uri,
-          patterns
+          patterns,
+          domain: this.domain
         };
       }
 
@@ -264,25 +888,319 @@ module.exports = function createRouter(...args) {
        * If an Express (or Express-type) app is passed to createRouter(),
        * then we immediately apply routing and set lazyRoute to false
        */
+      const expressPath = routeOptions.fallback
+        ? laravelToExpress(uri, patterns).replace(/:fallbackPlaceholder\?$/, ":fallbackPlaceholder(*)?")
+        : laravelToExpress(uri, patterns);
+
       if(isExpressApp(app)) {
-        app[routeOptions.method](laravelToExpress(uri, patterns), stack);
+        methods.forEach(method => app[method](expressPath, stack));
         this.lazyRoute = false;
       }
 
       /*
-       * Add the current route data to the this.routes array.
+       * Add the current route data (for each method) to the this.routes array.
        * This will be used later by the apply() method
        * for lazy routing of non-Express apps.
        */
-      this.routes.push({
-        method: routeOptions.method,
-        path: laravelToExpress(uri, patterns),
+      const routes = methods.map(method => ({
+        method,
+        methods,
+        path: expressPath,
         handlers: stack,
-      });
+        uri,
+        domain: this.domain,
+        namespace: this.names.join(""),
+        name: routeOptions.name ? name : "",
+        patterns,
+        casts,
+        meta,
+        middleware,
+        middlewareNames: middlewareEntries.map(entry => entry.name),
+        throttle: throttleNames,
+        action: actionKey || (typeof action === "string" ? action : undefined)
+      }));
+
+      for(const route of routes) {
+        if(routeOptions.fallback) {
+          route.fallback = true;
+        }
+
+        if(routeOptions.redirect) {
+          route.redirect = routeOptions.redirect;
+        }
+
+        this.routes.push(route);
+        routeTable.add(route);
+        routeRecords.push(route);
+      }
+
+      if(isExpressApp(app)) {
+        if(routeOptions.fallback) {
+          const stack = (app._router || app.router).stack;
+
+          fallbackLayers.set(routes[0], stack[stack.length - 1]);
+        }
+
+        moveFallbacksLast();
+      }
+
+      return this;
+    }
+
+    /**
+     * Create a fallback route, which handles the requests (of any method) that no other route handles,
+     * similar to Laravel's Route::fallback.
+     *
+     * The fallback of a route group only handles the requests to uris starting with the group prefix
+     * (and to the group domain, if any), e.g. a fallback of an /api group responding with JSON,
+     * and a fallback of the router rendering a "not found" page for every other request.
+     * Fallbacks are always tried after every other route, regardless of when they were created,
+     * from the most specific (longest) group prefix to the least specific.
+     * The unmatched part of the path is available as the `fallbackPlaceholder` param.
+     *
+     * @param {*} action
+     * @param {Object} options (optional): The route options, e.g. { name, middleware, meta }.
+     *   The method and uri are fixed.
+     * @return {Router}
+     */
+    fallback(action, options = {}) {
+      return this.route(Object.assign({}, options, { method: "all", uri: "/", fallback: true }), action);
+    }
+
+    /**
+     * Create a route that redirects requests (of any method) to another uri, url or named route,
+     * similar to Laravel's Route::redirect.
+     *
+     * The target is either a uri or url, whose params are filled in from the params of the request,
+     * e.g. redirect("/u/{id}", "/users/{id}"), or a named route, whose params are mapped from the params of the request,
+     * e.g. redirect("/u/{id}", { route: "users.show", params: { user: "{id}" } }).
+     * Named routes are resolved when requests are redirected, so they can be created after the redirect.
+     *
+     * @param {String} from: The uri to redirect
+     * @param {String|Object} to: The uri or url, or { route, params }
+     * @param {Number} status: The status of the redirect response. Defaults to 302.
+     * @param {Object} options (optional): The route options (e.g. { name, middleware }), and:
+     *    - {Boolean} preserveQuery: Whether to append the query string of the request to the target
+     * @return {Router}
+     */
+    redirect(from, to, status = 302, options = {}) {
+      const { preserveQuery = false, ...routeOptions } = options;
+
+      return this.route(Object.assign({}, routeOptions, {
+        method: "all",
+        uri: from,
+        redirect: { to, status, preserveQuery }
+      }));
+    }
+
+    /**
+     * Create a route that permanently (301) redirects requests to another uri, url or named route
+     * (see the redirect() method).
+     *
+     * @param {String} from
+     * @param {String|Object} to
+     * @param {Object} options (optional)
+     * @return {Router}
+     */
+    permanentRedirect(from, to, options = {}) {
+      return this.redirect(from, to, 301, options);
+    }
+
+    /**
+     * Register a middleware alias, so that routes and groups
+     * can reference the middleware by name, e.g. { middleware: ["auth"] }.
+     *
+     * Parameterised middleware, e.g. { middleware: ["can:edit,post"] },
+     * is created by calling the aliased middleware factory with the parameters,
+     * e.g. can("edit", "post"), which must return the middleware.
+     *
+     * @param {String} name
+     * @param {Function} middleware: The middleware, or middleware factory
+     * @return {Router}
+     */
+    aliasMiddleware(name, middleware) {
+      middlewareAliases[name] = middleware;
+
+      return this;
+    }
+
+    /**
+     * Register a named rate limiter, so that routes and groups
+     * can be rate limited by name, e.g. { throttle: ["api"] }.
+     *
+     * The rate limiter is called with each request, and returns the limit(s) of the request,
+     * e.g. (req) => Limit.perMinute(60).by(req.user?.id), or Limit.none() for no limit.
+     * The attempts are counted per rate limiter, so all routes that use it share the limits.
+     *
+     * @param {String} name
+     * @param {Function} limiter: (req) => Limit, a list of limits, or a promise of either
+     * @return {Router}
+     */
+    rateLimiter(name, limiter) {
+      rateLimiters[name] = limiter;
+
+      return this;
+    }
+
+    /**
+     * Register a group of middleware, so that routes and groups
+     * can reference all the middleware in the group by the group name.
+     *
+     * @param {String} name
+     * @param {Array} middleware: Middleware functions, aliases, or (other) group names
+     * @return {Router}
+     */
+    middlewareGroup(name, middleware) {
+      middlewareGroups[name] = [].concat(middleware);
+
+      return this;
+    }
+
+    /**
+     * Define a router-wide (regex) pattern for a param, similar to Laravel's Route::pattern().
+     * The pattern applies to the param in every route (and group route) created afterwards,
+     * unless the route or its groups define their own pattern for the param.
+     *
+     * @param {String|Object} param: The param name, or an object of patterns keyed by param name
+     * @param {RegExp|String} pattern: e.g. /^\d+$/ or "[0-9]+"
+     * @return {Router}
+     */
+    pattern(param, pattern) {
+      const patterns = typeof param === "object" ? param : { [param]: pattern };
+
+      for(const [name, value] of Object.entries(patterns)) {
+        globalPatterns[name] = value instanceof RegExp ? value : new RegExp(`^${value}$`);
+      }
 
       return this;
     }
 
+    /**
+     * Bind a route param to a resolver, similar to Laravel's explicit route model binding.
+     *
+     * Before the action of every route (created afterwards) with the param runs,
+     * the resolver is called with the value of the param and the request,
+     * and the value it returns (or resolves to) is made available via `req.models[param]`.
+     * If the resolver returns nothing, the `missing` callback is called instead of the action.
+     *
+     * @param {String} param
+     * @param {Function} resolver: (value, req) => model, or a promise of the model
+     * @param {Object} options (optional):
+     *    - {Function} missing: (req, res, next) => {}, overrides the `missingModel` option of createRouter()
+     * @return {Router}
+     */
+    bind(param, resolver, options = {}) {
+      bindings[param] = { resolver, missing: options.missing };
+
+      return this;
+    }
+
+    /**
+     * Bind a route param to a model (class), similar to Laravel's Route::model().
+     * The param is resolved by calling the model's (static) `find` method with the value of the param.
+     *
+     * @param {String} param
+     * @param {Object} Model
+     * @param {Object} options (optional):
+     *    - {String} method: the name of the model method to call instead of `find`, e.g. "findById"
+     *    - {Function} missing: (req, res, next) => {}, see the bind() method
+     * @return {Router}
+     */
+    model(param, Model, options = {}) {
+      const { method = "find" } = options;
+
+      return this.bind(param, (value) => Model[method](value), options);
+    }
+
+    /**
+     * Create the conventional routes of a resource controller, like Laravel's Route::resource():
+     *    GET /photos => photos.index
+     *    GET /photos/create => photos.create
+     *    POST /photos => photos.store
+     *    GET /photos/{photo} => photos.show
+     *    GET /photos/{photo}/edit => photos.edit
+     *    PUT|PATCH /photos/{photo} => photos.update
+     *    DELETE /photos/{photo} => photos.destroy
+     *
+     * The action of each route is the controller's method of the same name.
+     * The controller can also be the name of a registered controller, or a controller class
+     * (see the `controllers` option of createRouter()).
+     *
+     * Nested resources are named using "dot" notation, e.g. "photos.comments":
+     *    GET /photos/{photo}/comments/{comment} => photos.comments.show
+     * With the `shallow` option, the routes that act on a single nested resource
+     * leave out the parent resources:
+     *    GET /comments/{comment} => comments.show
+     *
+     * @param {String} name: The resource name, e.g. "photos" or "photos.comments"
+     * @param {Object|String|Function} controller
+     * @param {Object} options (optional):
+     *    - {Array} only: create routes for only the given actions
+     *    - {Array} except: create routes for all but the given actions
+     *    - {Array} middleware: middleware for every route of the resource
+     *    - {Object} middlewareFor: middleware for specific actions, e.g. { store: [auth] }
+     *    - {Object} parameters: rename the route params, keyed by resource name, e.g. { photos: "image" }
+     *    - {Object} names: override the route names, keyed by action, e.g. { index: "gallery" }
+     *    - {Boolean} shallow: leave the parent resources out of the single (nested) resource routes
+     *    - {Object} patterns: patterns for the route params
+     *    - {Object} meta: meta data for every route of the resource
+     * @return {Router}
+     */
+    resource(name, controller, options = {}) {
+      const { middleware = [], middlewareFor = {}, patterns = {}, meta = {} } = options;
+
+      for(const route of resourceRoutes(name, options)) {
+        let action = controller[route.action];
+
+        /*
+         * Named controllers and controller classes
+         * are resolved like any other controller action.
+         */
+        if(typeof controller === "string") {
+          action = `${controller}@${route.action}`;
+        } else if(typeof controller === "function") {
+          action = [controller, route.action];
+        } else if(action === undefined) {
+          throw new Error(
+            `The controller for the resource "${name}" has no "${route.action}" action.`
+          );
+        }
+
+        if(typeof action === "function" && typeof controller === "object") {
+          action = action.bind(controller);
+        }
+
+        route.methods.forEach((method, index) => {
+          this.route({
+            method,
+            uri: route.uri,
+            // Only the first of the methods of an action gets the route name,
+            // e.g. PUT (but not PATCH) for the "update" action.
+            name: index === 0 ? route.name : "",
+            middleware: [].concat(middleware, middlewareFor[route.action] || []),
+            patterns,
+            meta
+          }, action);
+        });
+      }
+
+      return this;
+    }
+
+    /**
+     * Create the routes of an API resource controller, like Laravel's Route::apiResource().
+     * This is the same as the resource() method,
+     * without the routes that present HTML forms (create and edit).
+     *
+     * @param {String} name
+     * @param {Object} controller
+     * @param {Object} options (optional): The same as for the resource() method
+     * @return {Router}
+     */
+    apiResource(name, controller, options = {}) {
+      return this.resource(name, controller, { ...options, api: true });
+    }
+
     /**
      *
      * @param {Object|String} options
@@ -321,9 +1239,27 @@ module.exports = function createRouter(...args) {
       }
 
       router.middlewares = this.middlewares.concat(groupOptions.middleware);
+
+      if(groupOptions.withoutMiddleware.length) {
+        const registry = { aliases: middlewareAliases, groups: middlewareGroups };
+
+        try {
+          router.middlewares = excludeMiddleware(
+            resolveMiddleware(this.middlewares, registry),
+            groupOptions.withoutMiddleware,
+            registry
+          ).concat(groupOptions.middleware);
+        } catch(e) {
+          throw new Error(`Cannot create the group ${path.join.apply(null, router.uris)}: ${e.message}`);
+        }
+      }
       router.names = this.names.concat(groupOptions.namespace);
-      router.patterns = this.patterns.concat(groupOptions.patterns);
+      router.patterns = this.patterns.concat(groupOptions.patterns, wherePatterns(groupOptions));
       router.metas = this.metas.concat(groupOptions.meta);
+      router.casts = this.casts.concat(castsFromOptions(groupOptions));
+      router.throttles = this.throttles.concat(groupOptions.throttle);
+      router.domain = groupOptions.domain || this.domain;
+      router.controllerNamespaces = this.controllerNamespaces.concat(groupOptions.controllerNamespace);
 
       /*
        * Push the router to the this.routeGroups array
@@ -345,12 +1281,32 @@ module.exports = function createRouter(...args) {
      *
      * @param {string} uri
      * @param staticMiddleware
+     * @param {Object} options (optional):
+     *    - {Array} withoutMiddleware: inherited (group) middleware to leave out
      * @return {Router}
      */
-    serve(uri, staticMiddleware) {
+    serve(uri, staticMiddleware, options = {}) {
       const url = path.join.apply(null, this.uris.concat(uri));
-      const patterns = Object.assign.apply(null, [{}].concat(this.patterns));
-      const stack = this.middlewares.concat(staticMiddleware);
+      const patterns = Object.assign.apply(null, [{}, globalPatterns].concat(this.patterns));
+      let middlewareEntries;
+
+      try {
+        const registry = { aliases: middlewareAliases, groups: middlewareGroups };
+
+        middlewareEntries = excludeMiddleware(
+          resolveMiddleware(this.middlewares, registry),
+          options.withoutMiddleware,
+          registry
+        );
+      } catch(e) {
+        throw new Error(`Cannot serve the uri ${url}: ${e.message}`);
+      }
+
+      const middleware = middlewareEntries.map(entry => entry.handler);
+      const domainMiddleware = this.domain
+        ? [restrictDomain(this.domain, patterns, routerOptions.trustProxy)]
+        : [];
+      const stack = domainMiddleware.concat(middleware, staticMiddleware);
 
       /*
        * If an Express (or Express-type) app is passed to createRouter(),
@@ -358,6 +1314,7 @@ module.exports = function createRouter(...args) {
        */
       if(isExpressApp(app)) {
         app.use(laravelToExpress(url, patterns), stack);
+        moveFallbacksLast();
         this.lazyRoute = true;
       }
 
@@ -366,32 +1323,152 @@ module.exports = function createRouter(...args) {
        * This will be used later by the apply() method
        * for lazy routing of non-Express apps.
        */
-      this.routes.push({
+      const route = {
         method: "get",
+        methods: ["get"],
         path: laravelToExpress(url, patterns),
         handlers: stack,
-      });
+        uri: url,
+        domain: this.domain,
+        namespace: this.names.join(""),
+        name: "",
+        patterns,
+        meta: {},
+        middleware,
+        middlewareNames: middlewareEntries.map(entry => entry.name),
+        mount: true
+      };
+
+      this.routes.push(route);
+      routeTable.add(route);
+      routeRecords.push(route);
 
       return this;
     }
 
     /**
+     * Create a url for the route definition with the given name.
+     *
+     * Urls are relative (paths), unless the `absolute` option is set,
+     * or the route is restricted to a domain (see the `domain` group option),
+     * whose params are filled in from the `params` object, like the uri params.
+     * The root (scheme and host) of absolute urls is derived from the `req` option, if given,
+     * or else the `baseUrl` option of createRouter().
      *
      * @param {String} name
      * @param {Object} params
-     * @param {Object} options
+     * @param {Object} options: The `qs.stringify` options, and:
+     *    - {Boolean} absolute (optional): whether to create an absolute url
+     *    - {Object} req (optional): the request to derive the root of absolute urls from
      * @return {String}
      */
     url(name, params = {}, options = {}) {
-      const namedUrl = namedUrls[name];
+      return namedRouteUrl(name, params, options);
+    }
+
+    /**
+     * Get the route that is handling the given request.
+     *
+     * @param {Object} req
+     * @return {Object|null}: { method, methods, uri, domain, name, patterns, meta },
+     *   where `methods` are all the methods of the route (see the match() method),
+     *   or null if the request is not being handled by any of the router's routes.
+     */
+    current(req) {
+      return currentRoutes.get(req) || null;
+    }
+
+    /**
+     * Determine if the name of the route handling the given request
+     * matches any of the given names, which can contain wildcards, e.g. "users.*".
+     *
+     * @param {Object} req
+     * @param {...String} names
+     * @return {Boolean}
+     */
+    is(req, ...names) {
+      const route = this.current(req);
+
+      if(!route || !route.name) {
+        return false;
+      }
+
+      return names.flat().some(name => {
+        const source = `${name}`.split("*").map(escapeRegex).join(".*");
+
+        return new RegExp(`^${source}$`).test(route.name);
+      });
+    }
+
+    /**
+     * Create a url for the route handling the given request,
+     * using the params and query params of the request, overridden by the given params.
+     * Query params can be removed by overriding them with `undefined`.
+     *
+     * @param {Object} req
+     * @param {Object} overrides
+     * @param {Object} options: The url() method options (the `req` option defaults to the given request)
+     * @return {String}
+     * @throws {Error}: If the request is not being handled by any of the router's routes
+     */
+    currentUrlWith(req, overrides = {}, options = {}) {
+      const route = this.current(req);
+
+      if(!route) {
+        throw new Error("The request is not being handled by any route.");
+      }
+
+      const params = Object.assign({}, req.query, req.params, overrides);
+
+      return routeUrl(route, params, Object.assign({ req }, options));
+    }
 
-      if(!namedUrl) {
-        throw new Error(`No URL found for  "${name}"`);
+    /**
+     * Create a signed url for the route definition with the given name,
+     * similar to Laravel's URL::signedRoute() and URL::temporarySignedRoute().
+     *
+     * A `signature` query param, the HMAC of the url using the `signingKey` option of createRouter(),
+     * is appended to the url. If the `expiresAt` option is given,
+     * an `expires` (UNIX timestamp) query param is signed along with the url.
+     * Absolute urls, and the urls of routes restricted to a domain, are signed along with their scheme and host.
+     * Routes can verify signed urls using the "signed" middleware alias.
+     *
+     * @param {String} name
+     * @param {Object} params
+     * @param {Object} options: The url() method options, and:
+     *    - {Date|Number} expiresAt (optional): when the url expires, as a Date or a timestamp (in milliseconds)
+     * @return {String}
+     */
+    signedUrl(name, params = {}, options = {}) {
+      const { expiresAt, ...queryOptions } = options;
+
+      if(!routerOptions.signingKey) {
+        throw new Error(SIGNING_KEY_REQUIRED);
       }
 
-      const { uri, patterns } = namedUrl;
+      const signedParams = Object.assign({}, params);
 
-      return uriWithParams({ uri, params, patterns, options });
+      if(expiresAt !== undefined) {
+        signedParams.expires = Math.floor(new Date(expiresAt).getTime() / 1000);
+      }
+
+      // Absolute urls (including those of routes restricted to a domain) are signed along with their scheme and host
+      return signUrl(this.url(name, signedParams, queryOptions), routerOptions.signingKey);
+    }
+
+    /**
+     * Determine if the request has a valid signature (see the signedUrl() method),
+     * and, for temporary signed urls, has not expired.
+     *
+     * @param {Object} req
+     * @return {Boolean}
+     */
+    hasValidSignature(req) {
+      if(!routerOptions.signingKey) {
+        throw new Error(SIGNING_KEY_REQUIRED);
+      }
+
+      return hasValidSignature(req);
     }
 
     /**
@@ -403,18 +1480,268 @@ module.exports = function createRouter(...args) {
      *    - {String} path: the request path
      *    - {Array} handlers: a list of the app-specific request handlers
      *      added to the Router object using one of the routing methods.
+     *    - {String} domain: the domain (host) the route is restricted to, if any.
+     *      The handlers skip requests to other hosts (by calling next("route")).
+     *    - {Boolean} fallback: whether the route is a fallback route (see the fallback() method),
+     *      whose method is "all". Fallback routes are applied last.
+     * @param {Boolean} nested: Whether the routing is applied to a route group as part of its parent,
+     *   in which case the fallback routes are left to the parent.
      */
-    apply(routingFn) {
+    apply(routingFn, nested = false) {
       if(!this.lazyRoute) {
         return;
       }
 
-      this.routes.forEach(route => routingFn(route));
+      this.routes.filter(route => !route.fallback).forEach(route => routingFn(route));
 
       /*
        * Apply the routing to route groups created using route.group()
        */
-      this.routeGroups.forEach(router => router.apply.call(router, routingFn));
+      this.routeGroups.forEach(router => router.apply.call(router, routingFn, true));
+
+      if(!nested) {
+        sortFallbacks(collectFallbacks(this)).forEach(route => routingFn(route));
+      }
+    }
+
+    /**
+     * List every route created by the router and its route groups
+     * (including the routes created by the serve() method).
+     *
+     * Each route is described by an object with the following members:
+     *    - {String} method: the (uppercase) request method, or methods, e.g. GET|POST (see the match() method)
+     *    - {String} uri: the Laravel-style uri
+     *    - {String} path: the Express-style path
+     *    - {String} domain: the domain (host) the route is restricted to, if any
+     *    - {String} name: the (fully namespaced) route name
+     *    - {Object} patterns: the merged (regex) patterns of the route and its groups
+     *    - {Object} meta: the merged meta data of the route and its groups
+     *    - {Array} middleware: the names (or aliases) of the route's middleware
+     *    - {String} action: the reference to the controller action, e.g. "UserController@show",
+     *      the string action, or "Closure" for any other action
+     *
+     * @return {Array}
+     */
+    list() {
+      // Routes created for several methods are listed once, e.g. as GET|POST
+      const routes = this.routes.filter(route => route.method === route.methods[0]).map(route => ({
+        method: route.methods.join("|").toUpperCase(),
+        uri: route.uri,
+        path: route.path,
+        domain: route.domain,
+        name: route.name,
+        patterns: route.patterns,
+        meta: route.meta,
+        middleware: route.middlewareNames,
+        action: route.action || "Closure"
+      }));
+
+      return this.routeGroups.reduce((routes, router) => routes.concat(router.list()), routes);
+    }
+
+    /**
+     * Serialise every route created by the router (and its route groups) into JSON-serialisable data,
+     * from which the routes can be rebuilt using createRouter.fromCache(),
+     * similar to Laravel's `php artisan route:cache`.
+     *
+     * Every route is described by its method, uri, path, domain, namespace, name, patterns, casts, meta,
+     * middleware, throttle, fallback, redirect and action, which must be a controller action
+     * (or another string action) unless the route is a redirect, and whose middleware must be middleware aliases.
+     *
+     * @return {Object}: { version, routes }
+     * @throws {Error}: If a route cannot be cached
+     */
+    toJSON() {
+      return serializeRoutes(routeRecords, middlewareAliases);
+    }
+
+    /**
+     * Create an OpenAPI (3.1) document describing every route created by the router (and its route groups).
+     *
+     * Route params become path params (constrained by their patterns),
+     * and the operations are described by the meta data of the routes (see lib/openapi.js):
+     * `summary`, `description`, `tags`, `requestSchema`, `payloadSchema` and `responses`.
+     * Operations are tagged with the (group) namespace of their route, unless they have `tags`.
+     *
+     * @param {Object} options (optional):
+     *    - {Object} info: The OpenAPI info object, e.g. { title: "My API", version: "1.0.0" }
+     *    - {Array} servers: The OpenAPI server objects, e.g. [{ url: "https://api.example.com" }]
+     * @return {Object}
+     */
+    openapi(options = {}) {
+      return createOpenApiDocument(routeRecords, options);
+    }
+
+    /**
+     * Write the route cache (see the toJSON() method) to a file.
+     *
+     * @param {String} file: The path to the cache file
+     * @return {Object}: The cached data
+     */
+    cache(file) {
+      const data = this.toJSON();
+
+      fs.writeFileSync(file, JSON.stringify(data, null, 2));
+
+      return data;
+    }
+
+    /**
+     * Check every route created by the router (and its route groups) for problems:
+     *    - duplicate names: routes with the same name
+     *    - duplicate routes: routes with the same method, domain and uri
+     *    - shadowed routes: routes that are never reached on Express apps,
+     *      because a route created before them matches every request to their uri,
+     *      e.g. /users/{id} created before /users/me
+     *
+     * @return {Array}: A list of diagnostics: { type, message, route, conflict },
+     *   where `type` is one of "duplicate-name", "duplicate-route" or "shadowed-route",
+     *   `route` is the route data of the offending route, and `conflict` that of the route created before it
+     */
+    validate() {
+      return diagnoseRoutes(routeRecords);
+    }
+
+    /**
+     * Find the route (created by the router or its route groups)
+     * that best matches the given request method and path.
+     *
+     * Static uri segments take priority over segments with params,
+     * and params must honor their patterns, if any.
+     *
+     * If the first argument is a list of methods, e.g. match(["get", "post"], options, action),
+     * a route is created for the methods instead, similar to Laravel's Route::match.
+     * The route is created once (with one name), but it is routed for each of the methods.
+     * Creating a route without an action throws an error.
+     *
+     * @param {String|Array} method: The request method, or the methods to create the route for
+     * @param {String} path: The request path, or the options (or uri) of the route to create
+     * @param {String} host (optional): The request host, or the action of the route to create.
+     *   Routes restricted to a domain only match if the host is given and matches the domain.
+     * @return {Object|null|Router}: { route, params }, where `route` is the route data
+     *   (method, path, uri, domain, name, patterns, meta and handlers),
+     *   and `params` are the params extracted from the path (and host).
+     *   Or the router, if a route was created.
+     */
+    match(method, path, host) {
+      if(Array.isArray(method)) {
+        const options = typeof path === "string" || path instanceof String ? { uri: path } : path;
+
+        if(host === undefined) {
+          const route = options.name ? `"${options.name}"` : `${method.join("|").toUpperCase()} ${options.uri}`;
+
+          throw new Error(`Cannot create the route ${route}: The action is missing.`);
+        }
+
+        return this.route(Object.assign({}, options, { method }), host);
+      }
+
+      return routeTable.match(method, path, host);
+    }
+
+    /**
+     * Create a route for every common method: GET, HEAD, POST, PUT, PATCH, DELETE and OPTIONS,
+     * similar to Laravel's Route::any (see the match() method).
+     *
+     * @param {Object|String} options
+     * @param {*} action
+     * @return {Router}
+     */
+    any(options, action) {
+      return this.match(ANY_METHODS, options, action);
+    }
+
+    /**
+     * Create a request handler that dispatches requests to the routes
+     * created by the router (and its route groups), for use with generic node.js apps:
+     *    http.createServer(router.handler());
+     *
+     * Routes are matched (using the router's match() rules) by their method, uri, patterns and domain.
+     * The params extracted from the uri are made available via `req.params`,
+     * and the parsed query string via `req.query`.
+     * The middleware and handlers of a matching route are called in order
+     * and pass control to each other by calling next().
+     * Errors are passed on to the error handlers of the remaining matching routes, like in Express.
+     *
+     * HEAD requests are also dispatched to GET routes (unless the `automaticHead` option is false),
+     * OPTIONS requests that no route handles get the allowed methods in the Allow header
+     * (unless the `automaticOptions` option is false), and requests to the uris of routes with other methods
+     * get a 405 response (unless the `methodNotAllowed` option is false), before any fallback routes are tried.
+     *
+     * The returned handler can also be mounted as a middleware on an Express (or Express-type) app,
+     * in which case requests that are not handled are passed on to the app's `next` function.
+     *
+     * @return {Function}: (req, res[, next])
+     */
+    handler() {
+      return function handleRequest(req, res, next) {
+        const [pathname, queryString = ""] = req.url.split(/\?(.*)/s);
+        const url = req.url;
+        const methods = req.method === "HEAD" && routerOptions.automaticHead !== false ? ["head", "get"] : req.method;
+        const matches = routeTable.lookup(methods, pathname, requestHost(req, routerOptions.trustProxy));
+
+        /*
+         * Whether the requests with unsupported methods have been checked for,
+         * which happens once the routes (but not the fallback routes) are exhausted
+         */
+        let checkedMethod = false;
+
+        if(req.originalUrl === undefined) {
+          req.originalUrl = req.url;
+        }
+
+        if(req.query === undefined) {
+          req.query = qs.parse(queryString);
+        }
+
+        const finish = (err) => {
+          if(next) {
+            next(err);
+          } else if(res.headersSent) {
+            // The response was (at least partly) sent already, so it can only be ended,
+            // or aborted if an error occurred while sending it
+            if(!res.writableEnded) {
+              err ? res.destroy() : res.end();
+            }
+          } else if(err) {
+            const status = err.status || err.statusCode || 500;
+
+            sendResponse(res, status, http.STATUS_CODES[status] || "Error");
+          } else {
+            sendResponse(res, 404, `Cannot ${req.method} ${pathname}`);
+          }
+        };
+
+        const dispatch = (err) => {
+          req.url = url;
+
+          // Pending errors are passed on to (the error handlers of) the next matching routes
+          const { value: match, done } = matches.next();
+
+          if(!err && !checkedMethod && (done || match.route.fallback)) {
+            checkedMethod = true;
+
+            if(respondToUnsupportedMethod(pathname, req, res)) {
+              return;
+            }
+          }
+
+          if(done) {
+            finish(err);
+            return;
+          }
+
+          req.params = match.params;
+
+          if(match.route.mount) {
+            req.url = match.remainder + (queryString ? `?${queryString}` : "");
+          }
+
+          runHandlers([].concat(match.route.handlers).flat(Infinity), req, res, dispatch, err);
+        };
+
+        dispatch();
+      };
     }
   }
 
@@ -425,4 +1752,45 @@ module.exports = function createRouter(...args) {
   }
 
   return new Proxy(router, proxy);
+}
+
+/**
+ * Create a router from a route cache (see the router's toJSON() and cache() methods),
+ * without running the closures of the route groups.
+ *
+ * The cache references actions and middleware by name,
+ * which are resolved by the router created using the resolver.
+ *
+ * @param {Object|String} data: The cached data, or the path to a cache file
+ * @param {Object} resolver (optional):
+ *    - {Object} app: An Express app instance
+ *    - {Function} mapActionToHandler
+ *    - {Object} options: The createRouter() options, e.g. { controllers }
+ *    - {Function} setup: A callback, (router) => {}, that registers the middleware aliases,
+ *      route param bindings and patterns on the router, before the routes are rebuilt
+ * @return {Router}
+ */
+createRouter.fromCache = function fromCache(data, resolver = {}) {
+  const { app, mapActionToHandler, options = {}, setup } = resolver;
+  const router = createRouter(...[app, mapActionToHandler, options].filter(arg => arg !== undefined));
+
+  if(typeof data === "string") {
+    data = JSON.parse(fs.readFileSync(data, "utf8"));
+  }
+
+  if(setup) {
+    setup(router);
+  }
+
+  for(const { domain, namespace, options: routeOptions, action } of deserializeRoutes(data)) {
+    if(domain || namespace) {
+      router.group({ domain, namespace }, (router) => router.route(routeOptions, action));
+    } else {
+      router.route(routeOptions, action);
+    }
+  }
+
+  return router;
 };
+
+module.exports = createRouter;
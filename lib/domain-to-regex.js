@@ -0,0 +1,73 @@
+"use strict";
+
+const countCaptureGroups = require("./count-capture-groups");
+const escapeRegex = require("./escape-regex");
+const trimRegex = require("./trim-regex");
+
+const DEFAULT_PARAM_PATTERN = "[^.]+?";
+const DOMAIN_PARAM_REGEX = /\{(\w+)\}/g;
+
+/**
+ * Compiles a domain (host) with Laravel-style params, e.g. {tenant}.api.example.com,
+ * into a regular expression that request hosts can be matched against.
+ * Params are constrained by their entry in the optional `patterns` object, if any,
+ * and otherwise match a single label of the host, e.g. "acme".
+ *
+ * Matching is case-insensitive.
+ *
+ * @param {String} domain
+ * @param {Object} patterns
+ * @return {Object}: { regex: RegExp, keys: Array, port: Boolean }
+ *   `keys` lists the param names, each with the index of its capturing group in `regex`,
+ *   and `port` is whether the domain includes a port.
+ */
+function domainToRegex(domain, patterns = {}) {
+  const keys = [];
+  let group = 1;
+  let source = "";
+  let lastIndex = 0;
+
+  for(const { 0: match, 1: param, index } of domain.matchAll(DOMAIN_PARAM_REGEX)) {
+    const pattern = patterns[param] ? trimRegex(patterns[param]) : DEFAULT_PARAM_PATTERN;
+
+    source += escapeRegex(domain.slice(lastIndex, index));
+    source += `(${pattern})`;
+    keys.push({ name: param, index: group });
+    group += 1 + countCaptureGroups(pattern);
+    lastIndex = index + match.length;
+  }
+
+  source += escapeRegex(domain.slice(lastIndex));
+
+  return { regex: new RegExp(`^${source}$`, "i"), keys, port: domain.includes(":") };
+}
+
+/**
+ * Match a request host against a compiled domain (see domainToRegex()).
+ * The port of the host is ignored, unless the domain includes a port.
+ *
+ * @param {Object} matcher: { regex, keys, port }
+ * @param {String} host
+ * @return {Object|null}: The params extracted from the host, or null if the host does not match
+ */
+function matchDomain(matcher, host = "") {
+  const hostname = matcher.port ? host : host.replace(/:\d+$/, "");
+  const matches = matcher.regex.exec(hostname);
+
+  if(!matches) {
+    return null;
+  }
+
+  const params = {};
+
+  for(const { name, index } of matcher.keys) {
+    params[name] = matches[index];
+  }
+
+  return params;
+}
+
+module.exports = {
+  domainToRegex,
+  matchDomain
+};
@@ -0,0 +1,13 @@
+"use strict";
+
+const SPECIAL_CHARACTERS_REGEX = /[.*+?^${}()|[\]\\]/g;
+
+/**
+ * Escape the characters that have a special meaning inside a regular expression.
+ *
+ * @param {String} str
+ * @return {String}
+ */
+module.exports = function escapeRegex(str) {
+  return `${str}`.replace(SPECIAL_CHARACTERS_REGEX, "\\$&");
+};
@@ -0,0 +1,47 @@
+"use strict";
+
+const resolveMiddleware = require("./resolve-middleware");
+
+/**
+ * Remove middleware from a list of (inherited) resolved middleware entries.
+ *
+ * Middleware to exclude can be referenced by function,
+ * by alias (which also excludes the parameterised variants of the alias, e.g. "can:edit,post" for "can"),
+ * or by middleware group name (which excludes every middleware in the group).
+ *
+ * @param {Array} entries: Resolved { name, handler } middleware entries
+ * @param {Array} excluded: The middleware to exclude
+ * @param {Object} registry: The middleware aliases and groups (see resolveMiddleware())
+ * @return {Array}: The remaining entries
+ * @throws {Error}: If a middleware to exclude is not in the list
+ */
+module.exports = function excludeMiddleware(entries, excluded = [], registry = {}) {
+  const { groups = {} } = registry;
+  let remaining = entries;
+
+  for(const item of [].concat(excluded)) {
+    let matches;
+
+    if(typeof item === "function") {
+      matches = (entry) => entry.handler === item;
+    } else if(Object.prototype.hasOwnProperty.call(groups, item)) {
+      const groupEntries = resolveMiddleware(groups[item], registry);
+
+      matches = (entry) => groupEntries.some(groupEntry => {
+        return groupEntry.handler === entry.handler || groupEntry.name === entry.name;
+      });
+    } else {
+      matches = (entry) => entry.name === item || entry.name.split(":")[0] === item;
+    }
+
+    if(!remaining.some(matches)) {
+      const name = typeof item === "function" ? item.name || "Closure" : item;
+
+      throw new Error(`The middleware "${name}" is not inherited, so it cannot be excluded.`);
+    }
+
+    remaining = remaining.filter(entry => !matches(entry));
+  }
+
+  return remaining;
+};
@@ -0,0 +1,30 @@
+"use strict";
+
+const COLUMNS = [
+  { header: "METHOD", value: route => route.method },
+  { header: "URI", value: route => route.uri },
+  { header: "NAME", value: route => route.name },
+  { header: "MIDDLEWARE", value: route => route.middleware.join(", ") }
+];
+
+/**
+ * Format a list of routes, as returned by the router's list() method,
+ * into a table with aligned columns (similar to Laravel's `php artisan route:list`),
+ * suitable for printing to the console.
+ *
+ * @param {Array} routes
+ * @return {String}
+ */
+module.exports = function formatRouteList(routes = []) {
+  const rows = [COLUMNS.map(column => column.header)].concat(
+    routes.map(route => COLUMNS.map(column => column.value(route)))
+  );
+
+  const widths = COLUMNS.map((column, index) => {
+    return Math.max(...rows.map(row => row[index].length));
+  });
+
+  return rows
+    .map(row => row.map((cell, index) => cell.padEnd(widths[index])).join("  ").trimEnd())
+    .join("\n");
+};
@@ -0,0 +1,233 @@
+"use strict";
+
+/*
+ * The regular expressions of the supported string formats
+ */
+const FORMATS = {
+  "date": /^\d{4}-\d{2}-\d{2}$/,
+  "date-time": /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/,
+  "email": /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  "uri": /^[a-z][a-z\d+.-]*:[^\s]*$/i,
+  "uuid": /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+};
+
+/*
+ * The compiled regular expressions of the `pattern` keywords, keyed by pattern
+ */
+const patterns = new Map();
+
+/**
+ * Get the (cached) regular expression of a `pattern` keyword.
+ *
+ * @param {String} pattern
+ * @return {RegExp}
+ */
+function patternRegex(pattern) {
+  if(!patterns.has(pattern)) {
+    patterns.set(pattern, new RegExp(pattern, "u"));
+  }
+
+  return patterns.get(pattern);
+}
+
+/**
+ * Get the JSON type of a value, e.g. "integer", "number", "array" or "null".
+ *
+ * @param {*} value
+ * @return {String}
+ */
+function typeOf(value) {
+  if(value === null) {
+    return "null";
+  }
+
+  if(Array.isArray(value)) {
+    return "array";
+  }
+
+  if(typeof value === "number") {
+    return Number.isInteger(value) ? "integer" : "number";
+  }
+
+  return typeof value;
+}
+
+/**
+ * Escape a property name for use in a JSON pointer (RFC 6901).
+ *
+ * @param {String|Number} token
+ * @return {String}
+ */
+function escapePointerToken(token) {
+  return `${token}`.replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+/**
+ * Validate a value against a (compiled) schema, collecting the errors.
+ *
+ * @param {Object} schema
+ * @param {*} value
+ * @param {String} pointer: The JSON pointer to the value
+ * @param {Array} errors
+ */
+function validate(schema, value, pointer, errors) {
+  if(schema === true || schema === undefined) {
+    return;
+  }
+
+  const fail = (message) => errors.push({ pointer, message });
+
+  if(schema === false) {
+    fail("is not allowed");
+    return;
+  }
+
+  const type = typeOf(value);
+
+  if(schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    const matches = types.includes(type) || (type === "integer" && types.includes("number"));
+
+    if(!matches) {
+      fail(`must be of type ${types.join(" or ")}`);
+      return;
+    }
+  }
+
+  if(schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+    fail(`must be equal to ${JSON.stringify(schema.const)}`);
+  }
+
+  if(schema.enum && !schema.enum.some(item => JSON.stringify(item) === JSON.stringify(value))) {
+    fail(`must be one of ${schema.enum.map(item => JSON.stringify(item)).join(", ")}`);
+  }
+
+  if(type === "string") {
+    if(schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must be at least ${schema.minLength} characters long`);
+    }
+
+    if(schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters long`);
+    }
+
+    if(schema.pattern !== undefined && !patternRegex(schema.pattern).test(value)) {
+      fail(`must match the pattern ${schema.pattern}`);
+    }
+
+    if(FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+      fail(`must be a valid ${schema.format}`);
+    }
+  }
+
+  if(type === "integer" || type === "number") {
+    if(schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be greater than or equal to ${schema.minimum}`);
+    }
+
+    if(schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be less than or equal to ${schema.maximum}`);
+    }
+
+    if(schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail(`must be greater than ${schema.exclusiveMinimum}`);
+    }
+
+    if(schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      fail(`must be less than ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if(type === "array") {
+    if(schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} items`);
+    }
+
+    if(schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+
+    if(schema.items !== undefined) {
+      value.forEach((item, index) => validate(schema.items, item, `${pointer}/${index}`, errors));
+    }
+  }
+
+  if(type === "object") {
+    const properties = schema.properties || {};
+
+    for(const property of schema.required || []) {
+      if(value[property] === undefined) {
+        errors.push({ pointer: `${pointer}/${escapePointerToken(property)}`, message: "is required" });
+      }
+    }
+
+    for(const [property, propertyValue] of Object.entries(value)) {
+      const propertyPointer = `${pointer}/${escapePointerToken(property)}`;
+
+      if(propertyValue === undefined) {
+        // Undefined properties are left out of JSON, so they are treated as absent
+        continue;
+      }
+
+      if(Object.prototype.hasOwnProperty.call(properties, property)) {
+        validate(properties[property], propertyValue, propertyPointer, errors);
+      } else if(schema.additionalProperties !== undefined) {
+        validate(schema.additionalProperties, propertyValue, propertyPointer, errors);
+      }
+    }
+  }
+
+  for(const subschema of schema.allOf || []) {
+    validate(subschema, value, pointer, errors);
+  }
+
+  const passes = (subschema) => {
+    const subschemaErrors = [];
+
+    validate(subschema, value, pointer, subschemaErrors);
+
+    return subschemaErrors.length === 0;
+  };
+
+  if(schema.anyOf && !schema.anyOf.some(passes)) {
+    fail("must match at least one of the allowed schemas");
+  }
+
+  if(schema.oneOf && schema.oneOf.filter(passes).length !== 1) {
+    fail("must match exactly one of the allowed schemas");
+  }
+
+  if(schema.not !== undefined && passes(schema.not)) {
+    fail("must not match the disallowed schema");
+  }
+}
+
+/**
+ * Compile a JSON schema into a validation function.
+ *
+ * This is a small validator that supports a subset of JSON Schema, which covers most request and response schemas:
+ *    - type (including arrays of types), enum and const
+ *    - minLength, maxLength, pattern and format (date, date-time, email, uri and uuid) for strings
+ *    - minimum, maximum, exclusiveMinimum and exclusiveMaximum for numbers
+ *    - items, minItems and maxItems for arrays
+ *    - properties, required and additionalProperties for objects
+ *    - allOf, anyOf, oneOf and not
+ * Other keywords (including $ref) are ignored.
+ *
+ * @param {Object|Boolean} schema
+ * @return {Function}: (data) => errors, where errors is a (possibly empty) list of { pointer, message },
+ *   and `pointer` is the JSON pointer to the invalid value, e.g. /body/email
+ */
+module.exports = function compileSchema(schema) {
+  if(schema === null || (typeof schema !== "object" && typeof schema !== "boolean")) {
+    throw new Error("A JSON schema must be an object or a boolean.");
+  }
+
+  return function validateSchema(data) {
+    const errors = [];
+
+    validate(schema, data, "", errors);
+
+    return errors;
+  };
+};
@@ -0,0 +1,113 @@
+"use strict";
+
+/**
+ * A rate limit: the maximum number of attempts (requests) allowed per time window,
+ * similar to Laravel's Illuminate\Cache\RateLimiting\Limit, e.g.:
+ *    Limit.perMinute(60).by(req.ip)
+ */
+class Limit {
+  /**
+   * @param {Number} maxAttempts: The maximum number of attempts per time window
+   * @param {Number} decaySeconds: The length of the time window, in seconds
+   */
+  constructor(maxAttempts, decaySeconds = 60) {
+    this.maxAttempts = maxAttempts;
+    this.decaySeconds = decaySeconds;
+
+    /*
+     * The key the attempts are counted by (e.g., a user id or an ip address)
+     */
+    this.key = undefined;
+
+    /*
+     * The callback, (req, res, next) => {}, that responds to requests exceeding the limit
+     */
+    this.responseCallback = undefined;
+  }
+
+  /**
+   * A limit of the given number of attempts per second.
+   *
+   * @param {Number} maxAttempts
+   * @return {Limit}
+   */
+  static perSecond(maxAttempts) {
+    return new Limit(maxAttempts, 1);
+  }
+
+  /**
+   * A limit of the given number of attempts per minute.
+   *
+   * @param {Number} maxAttempts
+   * @return {Limit}
+   */
+  static perMinute(maxAttempts) {
+    return new Limit(maxAttempts, 60);
+  }
+
+  /**
+   * A limit of the given number of attempts per the given number of minutes.
+   *
+   * @param {Number} decayMinutes
+   * @param {Number} maxAttempts
+   * @return {Limit}
+   */
+  static perMinutes(decayMinutes, maxAttempts) {
+    return new Limit(maxAttempts, decayMinutes * 60);
+  }
+
+  /**
+   * A limit of the given number of attempts per hour.
+   *
+   * @param {Number} maxAttempts
+   * @return {Limit}
+   */
+  static perHour(maxAttempts) {
+    return new Limit(maxAttempts, 60 * 60);
+  }
+
+  /**
+   * A limit of the given number of attempts per day.
+   *
+   * @param {Number} maxAttempts
+   * @return {Limit}
+   */
+  static perDay(maxAttempts) {
+    return new Limit(maxAttempts, 24 * 60 * 60);
+  }
+
+  /**
+   * A limit that does not limit anything.
+   *
+   * @return {Limit}
+   */
+  static none() {
+    return new Limit(Infinity);
+  }
+
+  /**
+   * Count the attempts by the given key, e.g. a user id.
+   *
+   * @param {String} key
+   * @return {Limit}
+   */
+  by(key) {
+    this.key = key;
+
+    return this;
+  }
+
+  /**
+   * Respond to requests exceeding the limit using the given callback.
+   *
+   * @param {Function} callback: (req, res, next) => {}
+   * @return {Limit}
+   */
+  response(callback) {
+    this.responseCallback = callback;
+
+    return this;
+  }
+}
+
+module.exports = Limit;
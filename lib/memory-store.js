@@ -0,0 +1,64 @@
+"use strict";
+
+/**
+ * An in-memory store for rate limiting, which counts the attempts per key in fixed time windows.
+ *
+ * Other stores (e.g., backed by Redis, to share the counts between processes)
+ * only need to implement the same increment() method, which may return a promise.
+ */
+class MemoryStore {
+  constructor() {
+    /*
+     * The attempts of every key: { hits, resetTime }
+     */
+    this.attempts = new Map();
+
+    /*
+     * When the attempts of the ended time windows were last forgotten (timestamp in milliseconds)
+     */
+    this.prunedAt = 0;
+  }
+
+  /**
+   * Count an attempt by the given key.
+   *
+   * @param {String} key
+   * @param {Number} decaySeconds: The length of the time window, in seconds
+   * @return {Object}: { hits, resetTime }, where `hits` is the number of attempts in the current time window,
+   *   and `resetTime` the time (timestamp in milliseconds) the window ends
+   */
+  increment(key, decaySeconds) {
+    const now = Date.now();
+    let attempts = this.attempts.get(key);
+
+    if(!attempts || attempts.resetTime <= now) {
+      attempts = { hits: 0, resetTime: now + decaySeconds * 1000 };
+      this.attempts.set(key, attempts);
+    }
+
+    if(now - this.prunedAt >= 1000) {
+      this.prune(now);
+    }
+
+    attempts.hits += 1;
+
+    return Object.assign({}, attempts);
+  }
+
+  /**
+   * Forget the attempts of the time windows that have ended.
+   *
+   * @param {Number} now
+   */
+  prune(now) {
+    this.prunedAt = now;
+
+    for(const [key, attempts] of this.attempts) {
+      if(attempts.resetTime <= now) {
+        this.attempts.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,184 @@
+"use strict";
+
+const paramsFromUri = require("./params-from-uri");
+const trimRegex = require("./trim-regex");
+
+const OPENAPI_VERSION = "3.1.0";
+const OPERATION_METHODS = ["get", "put", "post", "delete", "options", "head", "patch", "trace"];
+const OPTIONAL_SEGMENT_REGEX = /^(\{\w+\?\}|:\w+\?)$/;
+
+/**
+ * Convert a (Laravel-style or Express-style) uri into an OpenAPI path template,
+ * e.g. /users/{userId}/posts/:postId? becomes /users/{userId}/posts/{postId}.
+ *
+ * @param {String} uri
+ * @return {String}
+ */
+function toPathTemplate(uri) {
+  return uri.replace(/\{(\w+)\?\}/g, "{$1}").replace(/:(\w+)\??/g, "{$1}");
+}
+
+/**
+ * List the OpenAPI paths of a uri: OpenAPI path params are always required,
+ * so a uri ending with optional params has a path with and without each of them,
+ * e.g. /archive/{year?}/{month?} has the paths /archive/{year}/{month}, /archive/{year} and /archive.
+ *
+ * @param {String} uri
+ * @return {Array}: The paths, from the longest to the shortest
+ */
+function pathVariants(uri) {
+  const segments = uri.split("/").filter(segment => segment.length > 0);
+  const variants = [toPathTemplate(`/${segments.join("/")}`)];
+
+  while(segments.length && OPTIONAL_SEGMENT_REGEX.test(segments[segments.length - 1])) {
+    segments.pop();
+    variants.push(toPathTemplate(`/${segments.join("/")}`));
+  }
+
+  return variants;
+}
+
+/**
+ * Get the (JSON) schema of a route param, from the `params` of the route's request schema, if any,
+ * constrained by the param's (regex) pattern, if any.
+ *
+ * @param {String} param
+ * @param {Object} route
+ * @return {Object}
+ */
+function paramSchema(param, route) {
+  const schema = Object.assign(
+    { type: "string" },
+    route.meta.requestSchema?.properties?.params?.properties?.[param]
+  );
+  const pattern = route.patterns[param];
+
+  if(pattern) {
+    schema.pattern = `^${trimRegex(pattern instanceof RegExp ? pattern.source : pattern)}$`;
+  }
+
+  return schema;
+}
+
+/**
+ * Create the OpenAPI operation of a route at one of its paths.
+ *
+ * The operation is described using the following members of the route's meta data (all optional):
+ *    - {String} summary
+ *    - {String} description
+ *    - {Array} tags: defaults to the (group) namespace of the route, if any
+ *    - {Object} requestSchema: a JSON schema with `params`, `query` and `body` properties
+ *    - {Object} payloadSchema: the JSON schema of the (200) response body
+ *    - {Object} responses: the OpenAPI responses object, which replaces the response described by `payloadSchema`
+ *
+ * @param {Object} route
+ * @param {String} path: The OpenAPI path template
+ * @param {Boolean} primary: Whether this is the (longest) primary path of the route,
+ *   which is the only one that gets the route name as `operationId` (operation ids must be unique)
+ * @return {Object}
+ */
+function createOperation(route, path, primary) {
+  const { summary, description, tags, requestSchema = {}, payloadSchema, responses } = route.meta;
+  const query = requestSchema.properties?.query || {};
+  const body = requestSchema.properties?.body;
+  const namespace = route.namespace.replace(/\.+$/, "");
+  const { required, optional } = paramsFromUri(path);
+  const operation = {};
+
+  if(primary && route.name) {
+    // Routes created for several methods share the name, so their other methods get the method as a suffix
+    operation.operationId = route.methods && route.method !== route.methods[0]
+      ? `${route.name}.${route.method}`
+      : route.name;
+  }
+
+  if(summary) {
+    operation.summary = summary;
+  }
+
+  if(description) {
+    operation.description = description;
+  }
+
+  if(tags || namespace) {
+    operation.tags = tags || [namespace];
+  }
+
+  operation.parameters = required.concat(optional).map(param => ({
+    in: "path",
+    name: param,
+    required: true,
+    schema: paramSchema(param, route)
+  })).concat(Object.entries(query.properties || {}).map(([param, schema]) => ({
+    in: "query",
+    name: param,
+    required: (query.required || []).includes(param),
+    schema
+  })));
+
+  if(body) {
+    operation.requestBody = {
+      required: (requestSchema.required || []).includes("body"),
+      content: { "application/json": { schema: body } }
+    };
+  }
+
+  operation.responses = responses || {
+    "200": Object.assign(
+      { description: payloadSchema?.title || "Successful response" },
+      payloadSchema ? { content: { "application/json": { schema: payloadSchema } } } : {}
+    )
+  };
+
+  return operation;
+}
+
+/**
+ * Create an OpenAPI (3.1) document describing a list of routes.
+ *
+ * Routes with methods that OpenAPI does not support (e.g. PURGE), and mounted routes
+ * (see the router's serve() method) are left out.
+ *
+ * @param {Array} routes: The route data: { method, uri, name, namespace, patterns, meta }
+ * @param {Object} options (optional):
+ *    - {Object} info: The OpenAPI info object, e.g. { title: "My API", version: "1.0.0" }
+ *    - {Array} servers: The OpenAPI server objects, e.g. [{ url: "https://api.example.com" }]
+ * @return {Object}
+ */
+module.exports = function createOpenApiDocument(routes, options = {}) {
+  const { info = { title: "API", version: "1.0.0" }, servers } = options;
+  const document = { openapi: OPENAPI_VERSION, info };
+  const paths = {};
+  const tags = [];
+
+  if(servers) {
+    document.servers = servers;
+  }
+
+  for(const route of routes) {
+    if(route.mount || !OPERATION_METHODS.includes(route.method)) {
+      continue;
+    }
+
+    pathVariants(route.uri).forEach((path, index) => {
+      const operation = createOperation(route, path, index === 0);
+
+      paths[path] = paths[path] || {};
+      paths[path][route.method] = operation;
+
+      for(const tag of operation.tags || []) {
+        if(!tags.includes(tag)) {
+          tags.push(tag);
+        }
+      }
+    });
+  }
+
+  if(tags.length) {
+    document.tags = tags.map(name => ({ name }));
+  }
+
+  document.paths = paths;
+
+  return document;
+};
@@ -0,0 +1,98 @@
+"use strict";
+
+const sendResponse = require("./send-response");
+const uriWithParams = require("./uri-with-params");
+
+const PARAM_REGEX = /\{(\w+)\??\}/g;
+
+/**
+ * Fill in the params of a template (e.g. "{id}" or "user-{id}") from the params of a request.
+ * A template that is made up of a single param (e.g. "{id}") gets the (untouched) param value.
+ *
+ * @param {*} template
+ * @param {Object} params
+ * @return {*}
+ */
+function fillIn(template, params) {
+  if(typeof template !== "string") {
+    return template;
+  }
+
+  const [, param] = template.match(/^\{(\w+)\}$/) || [];
+
+  if(param) {
+    return params[param];
+  }
+
+  return template.replace(PARAM_REGEX, (match, name) => params[name] === undefined ? "" : params[name]);
+}
+
+/**
+ * Append the query string of a request to a url.
+ *
+ * @param {String} url
+ * @param {Object} req
+ * @return {String}
+ */
+function withQueryString(url, req) {
+  const [, queryString] = (req.originalUrl || req.url || "").split(/\?(.*)/s);
+
+  if(!queryString) {
+    return url;
+  }
+
+  return `${url}${url.includes("?") ? "&" : "?"}${queryString}`;
+}
+
+/**
+ * Create a request handler that redirects requests, similar to Laravel's Route::redirect.
+ *
+ * The target is either:
+ *    - a uri or url, whose params (e.g. /users/{id}) are filled in from the params of the request
+ *    - a named route: { route, params }, whose params are mapped from the params of the request
+ *      using templates, e.g. { route: "users.show", params: { user: "{id}" } }.
+ *      Params that the named route does not have become query params.
+ *
+ * @param {Object} redirect:
+ *    - {String|Object} to: The target of the redirect
+ *    - {Number} status: The status of the redirect response, e.g. 301 or 302
+ *    - {Boolean} preserveQuery: Whether to append the query string of the request to the target
+ * @param {Function} routeUrl: (name, params) => url, which creates the url of a named route
+ *   (encoding the params as uri components)
+ * @return {Function}
+ */
+module.exports = function redirectTo(redirect, routeUrl) {
+  const { to, status = 302, preserveQuery = false } = redirect;
+
+  return function redirectTo(req, res) {
+    const requestParams = req.params || {};
+    let location;
+
+    if(typeof to === "string") {
+      // The query string (if any) is kept as is (a "?" followed by "}" marks an optional param instead)
+      const [uri, queryString] = to.split(/\?(?!\})(.*)/s);
+      const params = {};
+
+      for(const [, param] of uri.matchAll(PARAM_REGEX)) {
+        params[param] = requestParams[param];
+      }
+
+      // The params of the request are encoded as uri components, so that they cannot change the path or query of the target
+      location = uriWithParams({ uri, params, encode: encodeURIComponent }) + (queryString === undefined ? "" : `?${queryString}`);
+    } else {
+      const params = {};
+
+      for(const [param, template] of Object.entries(to.params || {})) {
+        params[param] = fillIn(template, requestParams);
+      }
+
+      location = routeUrl(to.route, params);
+    }
+
+    if(preserveQuery) {
+      location = withQueryString(location, req);
+    }
+
+    sendResponse(res, status, `Redirecting to ${location}`, { Location: location });
+  };
+};
@@ -0,0 +1,54 @@
+"use strict";
+
+/**
+ * Get the first value of a (possibly comma-separated, e.g. when set by several proxies) header.
+ *
+ * @param {String|Array} value
+ * @return {String}
+ */
+function firstHeaderValue(value) {
+  return `${[].concat(value)[0] || ""}`.split(",")[0].trim();
+}
+
+/**
+ * Get the host (including the port, if any) of a request.
+ *
+ * The X-Forwarded-Host header (set by reverse proxies)
+ * is only respected if the proxy is trusted.
+ *
+ * @param {Object} req
+ * @param {Boolean} trustProxy
+ * @return {String}
+ */
+function requestHost(req, trustProxy = false) {
+  const headers = req.headers || {};
+  const forwardedHost = trustProxy ? firstHeaderValue(headers["x-forwarded-host"]) : "";
+
+  return forwardedHost || firstHeaderValue(headers.host);
+}
+
+/**
+ * Get the root url (scheme and host, e.g. https://example.com) of a request.
+ *
+ * The X-Forwarded-Proto and X-Forwarded-Host headers (set by reverse proxies)
+ * are only respected if the proxy is trusted.
+ *
+ * @param {Object} req
+ * @param {Boolean} trustProxy
+ * @return {String}
+ */
+function requestRoot(req, trustProxy = false) {
+  const headers = req.headers || {};
+  let protocol = req.socket && req.socket.encrypted ? "https" : "http";
+
+  if(trustProxy) {
+    protocol = firstHeaderValue(headers["x-forwarded-proto"]) || protocol;
+  }
+
+  return `${protocol}://${requestHost(req, trustProxy)}`;
+}
+
+module.exports = {
+  requestHost,
+  requestRoot
+};
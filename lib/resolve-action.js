@@ -0,0 +1,111 @@
+"use strict";
+
+const path = require("path");
+
+/**
+ * Determine if an action is a Laravel-style controller action:
+ *    - a string action, e.g. "UserController@show"
+ *    - an array action, e.g. [UserController, "show"] or ["UserController", "show"]
+ *
+ * @param {*} action
+ * @return {Boolean}
+ */
+function isControllerAction(action) {
+  if(typeof action === "string" || action instanceof String) {
+    return action.includes("@");
+  }
+
+  return (
+    Array.isArray(action) &&
+    action.length === 2 &&
+    typeof action[1] === "string" &&
+    (typeof action[0] === "string" || typeof action[0] === "function" || typeof action[0] === "object")
+  );
+}
+
+/**
+ * Find a (named) controller in the controller registry,
+ * which is either an object of controllers keyed by name,
+ * or the path to a directory to load (require) the controllers from.
+ *
+ * @param {String} name
+ * @param {Object|String} controllers
+ * @return {*}: The controller, or undefined if not found
+ */
+function findController(name, controllers) {
+  if(typeof controllers === "string") {
+    let file;
+
+    // Only a missing controller file means that the controller is not registered,
+    // while the errors of loading it (e.g. its own missing dependencies) are thrown
+    try {
+      file = require.resolve(path.resolve(controllers, name));
+    } catch(e) {
+      if(e.code === "MODULE_NOT_FOUND") {
+        return undefined;
+      }
+
+      throw e;
+    }
+
+    return require(file);
+  }
+
+  return Object.prototype.hasOwnProperty.call(controllers, name) ? controllers[name] : undefined;
+}
+
+/**
+ * Resolve a Laravel-style controller action into a request handler:
+ * the (bound) method of the controller.
+ *
+ * Controllers referenced by name are looked up in the `controllers` registry,
+ * after prefixing the name with the (group) controller namespace, if any.
+ * Controller classes are instantiated once, and the instance is (re)used for every action.
+ *
+ * @param {String|Array} action: e.g. "UserController@show" or [UserController, "show"]
+ * @param {Object} config
+ * @param {Object|String} [config.controllers]: The controller registry
+ * @param {String} [config.namespace]: The controller namespace, e.g. "Admin/"
+ * @param {Map} [config.instances]: A cache of controller instances, keyed by controller class
+ * @return {Object}: { handler: Function, key: String }
+ *   `key` is the (string) reference to the action, e.g. "Admin/UserController@show"
+ * @throws {Error}: If the controller or its method cannot be found
+ */
+function resolveAction(action, config = {}) {
+  const { controllers = {}, namespace = "", instances = new Map() } = config;
+  let [controller, method] = Array.isArray(action) ? action : `${action}`.split("@");
+  let controllerName = typeof controller === "function" ? controller.name : controller?.constructor?.name;
+
+  if(typeof controller === "string") {
+    controllerName = `${namespace}${controller}`;
+    controller = findController(controllerName, controllers);
+
+    if(controller === undefined) {
+      throw new Error(`The controller "${controllerName}" is not registered.`);
+    }
+  }
+
+  let instance = controller;
+
+  if(typeof controller === "function") {
+    if(!instances.has(controller)) {
+      instances.set(controller, new controller());
+    }
+
+    instance = instances.get(controller);
+  }
+
+  if(!instance || typeof instance[method] !== "function") {
+    throw new Error(`The controller "${controllerName}" has no "${method}" method.`);
+  }
+
+  return {
+    handler: instance[method].bind(instance),
+    key: `${controllerName}@${method}`
+  };
+}
+
+module.exports = {
+  isControllerAction,
+  resolveAction
+};
@@ -0,0 +1,63 @@
+"use strict";
+
+/**
+ * Resolve a list of middleware into a (flat) list of { name, handler } entries.
+ *
+ * The list can contain:
+ *    - middleware functions, named after the function (or "Closure" for anonymous functions)
+ *    - (string) middleware aliases, e.g. "auth"
+ *    - parameterised middleware aliases, e.g. "can:edit,post",
+ *      whose alias is a middleware factory called with the parameters, e.g. can("edit", "post")
+ *    - (string) middleware group names, e.g. "api", which resolve to the middleware of the group
+ *    - already resolved { name, handler } entries
+ *
+ * @param {Array} middleware
+ * @param {Object} registry
+ * @param {Object} [registry.aliases]: The middleware (and middleware factories) keyed by alias
+ * @param {Object} [registry.groups]: The lists of middleware keyed by group name
+ * @param {Array} [registry.resolving]: The middleware groups being resolved (used to detect cycles)
+ * @return {Array}
+ * @throws {Error}: If a middleware alias or group is not registered
+ */
+module.exports = function resolveMiddleware(middleware = [], registry = {}) {
+  const { aliases = {}, groups = {}, resolving = [] } = registry;
+  const entries = [];
+
+  for(const item of [].concat(middleware).flat(Infinity)) {
+    if(typeof item === "function") {
+      entries.push({ name: item.name || "Closure", handler: item });
+      continue;
+    }
+
+    if(item && typeof item.handler === "function") {
+      entries.push(item);
+      continue;
+    }
+
+    const [alias, parameters] = `${item}`.split(/:(.*)/s);
+
+    if(!parameters && Object.prototype.hasOwnProperty.call(groups, alias)) {
+      if(resolving.includes(alias)) {
+        throw new Error(`The middleware group "${alias}" includes itself.`);
+      }
+
+      entries.push(...resolveMiddleware(groups[alias], {
+        aliases,
+        groups,
+        resolving: resolving.concat(alias)
+      }));
+      continue;
+    }
+
+    if(!Object.prototype.hasOwnProperty.call(aliases, alias)) {
+      throw new Error(`The middleware "${item}" is not registered.`);
+    }
+
+    entries.push({
+      name: `${item}`,
+      handler: parameters ? aliases[alias](...parameters.split(",")) : aliases[alias]
+    });
+  }
+
+  return entries;
+};
@@ -0,0 +1,88 @@
+"use strict";
+
+/*
+ * The conventional resource actions, in the order their routes are created.
+ * Routes with a `member` uri act on a single resource, e.g. /photos/{photo}
+ */
+const RESOURCE_ACTIONS = [
+  { action: "index", methods: ["get"], uri: "" },
+  { action: "create", methods: ["get"], uri: "/create" },
+  { action: "store", methods: ["post"], uri: "" },
+  { action: "show", methods: ["get"], uri: "", member: true },
+  { action: "edit", methods: ["get"], uri: "/edit", member: true },
+  { action: "update", methods: ["put", "patch"], uri: "", member: true },
+  { action: "destroy", methods: ["delete"], uri: "", member: true }
+];
+
+/*
+ * API resources do not need the routes that present HTML forms
+ */
+const API_RESOURCE_EXCLUDED_ACTIONS = ["create", "edit"];
+
+/*
+ * The rules that singularize (English) resource names, tried in order
+ */
+const SINGULAR_RULES = [
+  // Irregular words
+  [/(quiz)zes$/i, "$1"],
+  [/(mov|cook|zomb|rook|calor|self)ies$/i, "$1ie"],
+  [/(alias|bus|bonus|campus|census|status|virus)es$/i, "$1"],
+  // Words that are singular already, e.g. address, status or analysis
+  [/(ss|us|is)$/i, "$1"],
+  [/(ss|x|ch|sh)es$/i, "$1"],
+  [/([^aeiouy]|qu)ies$/i, "$1y"],
+  [/s$/i, ""]
+];
+
+/**
+ * Return the singular form of an (English) resource name, e.g. photos => photo.
+ *
+ * @param {String} word
+ * @return {String}
+ */
+function singularize(word) {
+  const [regex, replacement] = SINGULAR_RULES.find(([regex]) => regex.test(word)) || [];
+
+  return regex ? word.replace(regex, replacement) : word;
+}
+
+/**
+ * Describe the routes of a resource controller,
+ * similar to Laravel's Route::resource() and Route::apiResource().
+ *
+ * Nested resources are named using "dot" notation, e.g. "photos.comments",
+ * whose routes are nested under the parent resources, e.g. /photos/{photo}/comments/{comment}.
+ *
+ * @param {String} name: The resource name, e.g. "photos" or "photos.comments"
+ * @param {Object} options (optional):
+ *    - {Array} only: create routes for only the given actions
+ *    - {Array} except: create routes for all but the given actions
+ *    - {Object} parameters: rename the route params, keyed by resource name, e.g. { photos: "image" }
+ *    - {Object} names: override the route names, keyed by action, e.g. { index: "gallery" }
+ *    - {Boolean} api: leave out the routes that present HTML forms (create and edit)
+ *    - {Boolean} shallow: leave the parent resources out of the uri and name of the routes
+ *      that act on a single (nested) resource, e.g. /comments/{comment} (named comments.show)
+ * @return {Array}: A list of route descriptions: { action, methods, uri, name }
+ */
+module.exports = function resourceRoutes(name, options = {}) {
+  const { only, except = [], parameters = {}, names = {}, api = false, shallow = false } = options;
+  const parents = name.split(".");
+  const resource = parents.pop();
+  const param = parameters[resource] || singularize(resource);
+  const parentUri = parents.map(parent => `/${parent}/{${parameters[parent] || singularize(parent)}}`).join("");
+
+  return RESOURCE_ACTIONS
+    .filter(({ action }) => !only || only.includes(action))
+    .filter(({ action }) => !except.includes(action))
+    .filter(({ action }) => !api || !API_RESOURCE_EXCLUDED_ACTIONS.includes(action))
+    .map(({ action, methods, uri, member }) => {
+      const isShallow = shallow && member;
+
+      return {
+        action,
+        methods,
+        uri: `${isShallow ? "" : parentUri}/${resource}${member ? `/{${param}}` : ""}${uri}`,
+        name: names[action] || `${isShallow ? resource : name}.${action}`
+      };
+    });
+};
@@ -0,0 +1,32 @@
+"use strict";
+
+const { domainToRegex, matchDomain } = require("./domain-to-regex");
+const { requestHost } = require("./request-root");
+
+/**
+ * Create a middleware that restricts a route to requests for the given domain (host),
+ * e.g. {tenant}.api.example.com, by skipping to the next matching route (calling next("route"))
+ * for requests to any other host.
+ *
+ * The params extracted from the host are added to `req.params`.
+ *
+ * @param {String} domain
+ * @param {Object} patterns: The regex patterns of the domain params
+ * @param {Boolean} trustProxy: Whether to respect the X-Forwarded-Host header
+ * @return {Function}
+ */
+module.exports = function restrictDomain(domain, patterns = {}, trustProxy = false) {
+  const matcher = domainToRegex(domain, patterns);
+
+  return function restrictDomain(req, res, next) {
+    const params = matchDomain(matcher, requestHost(req, trustProxy));
+
+    if(!params) {
+      next("route");
+      return;
+    }
+
+    req.params = Object.assign(req.params || {}, params);
+    next();
+  };
+};
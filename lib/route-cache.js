@@ -0,0 +1,142 @@
+"use strict";
+
+/*
+ * The version of the cache format, which is bumped whenever the format changes
+ */
+const CACHE_VERSION = 1;
+const FALLBACK_PLACEHOLDER_REGEX = /\/\{fallbackPlaceholder\?\}$/;
+
+/**
+ * Serialise a (regex) pattern into its source and flags.
+ *
+ * @param {RegExp|String} pattern
+ * @return {Object}: { source, flags }
+ */
+function serializePattern(pattern) {
+  return pattern instanceof RegExp
+    ? { source: pattern.source, flags: pattern.flags }
+    : { source: `${pattern}`, flags: "" };
+}
+
+/**
+ * Serialise the routes created by a router into (JSON-serialisable) data
+ * that the routes can be rebuilt from (see deserializeRoutes()).
+ *
+ * Only routes whose action and middleware can be referenced by name can be serialised:
+ * controller actions (e.g. "UserController@show") or other string actions (and redirects),
+ * and middleware aliases (including parameterised aliases, e.g. "can:edit,post").
+ * Rate limiters are referenced by name, so they must be registered before the routes are rebuilt.
+ *
+ * @param {Array} routes: The route data, in the order the routes were created
+ * @param {Object} aliases: The middleware (and middleware factories) keyed by alias
+ * @return {Object}: { version, routes }
+ * @throws {Error}: If a route cannot be serialised
+ */
+function serializeRoutes(routes, aliases = {}) {
+  return {
+    version: CACHE_VERSION,
+    // Routes created for several methods are cached once (see the router's match() method)
+    routes: routes.filter(route => !route.methods || route.method === route.methods[0]).map(route => {
+      const fail = (reason) => {
+        throw new Error(`Cannot cache the route ${(route.methods || [route.method]).join("|").toUpperCase()} ${route.uri}: ${reason}`);
+      };
+
+      if(route.mount) {
+        fail("Served (static) middleware cannot be cached.");
+      }
+
+      if(typeof route.action !== "string" && !route.redirect) {
+        fail("Only controller actions (or other string actions) can be cached.");
+      }
+
+      route.middlewareNames.forEach((name, index) => {
+        const [alias, parameters] = name.split(/:(.*)/s);
+        const isAlias = Object.prototype.hasOwnProperty.call(aliases, alias) &&
+          (parameters || aliases[alias] === route.middleware[index]);
+
+        if(!isAlias) {
+          fail(`The middleware "${name}" is not a middleware alias, so it cannot be cached.`);
+        }
+      });
+
+      const patterns = {};
+      const casts = {};
+
+      for(const [param, pattern] of Object.entries(route.patterns)) {
+        patterns[param] = serializePattern(pattern);
+      }
+
+      for(const [param, type] of Object.entries(route.casts)) {
+        if(typeof type !== "string") {
+          fail(`The cast of the param "${param}" is a function, so it cannot be cached.`);
+        }
+
+        casts[param] = type;
+      }
+
+      return {
+        method: route.methods && route.methods.length > 1 ? route.methods : route.method,
+        uri: route.uri,
+        path: route.path,
+        domain: route.domain,
+        namespace: route.namespace,
+        name: route.name,
+        patterns,
+        casts,
+        meta: route.meta,
+        middleware: route.middlewareNames,
+        throttle: route.throttle,
+        fallback: Boolean(route.fallback),
+        redirect: route.redirect,
+        action: route.action
+      };
+    })
+  };
+}
+
+/**
+ * Deserialise the data created by serializeRoutes()
+ * into the options (and actions) to rebuild the routes with.
+ *
+ * @param {Object} data: { version, routes }
+ * @return {Array}: A list of { domain, namespace, options, action },
+ *   where the name option is the route name without the (group) namespace
+ * @throws {Error}: If the data is not in the current cache format
+ */
+function deserializeRoutes(data) {
+  if(!data || data.version !== CACHE_VERSION || !Array.isArray(data.routes)) {
+    throw new Error("The route cache is invalid, or was created by another version of the router.");
+  }
+
+  return data.routes.map(route => {
+    const patterns = {};
+
+    for(const [param, { source, flags }] of Object.entries(route.patterns)) {
+      patterns[param] = new RegExp(source, flags);
+    }
+
+    return {
+      domain: route.domain,
+      namespace: route.namespace,
+      options: {
+        method: route.method,
+        // Fallback routes are rebuilt from their prefix (the uri without the fallback placeholder)
+        uri: route.fallback ? route.uri.replace(FALLBACK_PLACEHOLDER_REGEX, "") || "/" : route.uri,
+        fallback: route.fallback,
+        redirect: route.redirect,
+        name: route.name.slice(route.namespace.length),
+        patterns,
+        casts: route.casts,
+        meta: route.meta,
+        middleware: route.middleware,
+        throttle: route.throttle
+      },
+      action: route.action
+    };
+  });
+}
+
+module.exports = {
+  serializeRoutes,
+  deserializeRoutes
+};
@@ -0,0 +1,221 @@
+"use strict";
+
+const uriToRegex = require("./uri-to-regex");
+
+/**
+ * Describe a route for use in diagnostic messages, e.g. GET /users/{id} ("users.show").
+ *
+ * @param {Object} route
+ * @return {String}
+ */
+function describeRoute(route) {
+  const name = route.name ? ` ("${route.name}")` : "";
+
+  return `${route.method.toUpperCase()} ${route.domain || ""}${route.uri}${name}`;
+}
+
+/*
+ * The regexes that the uris of routes compile to, cached per route
+ */
+const compiledUris = new WeakMap();
+
+/*
+ * The indexes of the lists of routes that diagnoseRoute() has been called with
+ */
+const routeIndexes = new WeakMap();
+
+/**
+ * Get the regex that the route's uri compiles to, whose source is the same
+ * for uris that only differ by the names of their params.
+ *
+ * @param {Object} route
+ * @return {RegExp}
+ */
+function routeRegex(route) {
+  if(!compiledUris.has(route)) {
+    compiledUris.set(route, uriToRegex(route.uri, route.patterns).regex);
+  }
+
+  return compiledUris.get(route);
+}
+
+/**
+ * Get the key of the group of routes that a route can duplicate or be shadowed by:
+ * the routes with the same method and domain, which are either all fallback routes or none.
+ *
+ * @param {Object} route
+ * @return {String}
+ */
+function groupKey(route) {
+  return `${route.method} ${route.domain || ""} ${Boolean(route.fallback)}`;
+}
+
+/**
+ * Create an index of routes, which groups them by name and by method and domain (see groupKey()).
+ *
+ * @return {Object}: { size, positions, names, groups }
+ */
+function createRouteIndex() {
+  return { size: 0, positions: new Map(), names: new Map(), groups: new Map() };
+}
+
+/**
+ * Add a route to an index of routes (see createRouteIndex()).
+ *
+ * @param {Object} index
+ * @param {Object} route
+ */
+function indexRoute(index, route) {
+  index.positions.set(route, index.size++);
+
+  if(route.mount) {
+    return;
+  }
+
+  if(route.name) {
+    index.names.set(route.name, (index.names.get(route.name) || []).concat(route));
+  }
+
+  const key = groupKey(route);
+
+  if(!index.groups.has(key)) {
+    index.groups.set(key, []);
+  }
+
+  index.groups.get(key).push(route);
+}
+
+/**
+ * Create a test that determines if every request to the uri of the `route` is also matched by an earlier route,
+ * so that, when routes are matched in the order they were created (as Express apps do),
+ * the route is never reached.
+ *
+ * The params of the route are checked as if they were literal text,
+ * which the params of the earlier route only match if they are unconstrained (have no patterns).
+ *
+ * @param {Object} route
+ * @return {Function}: (earlier) => Boolean
+ */
+function shadowTest(route) {
+  const uri = route.uri.replace(/\{(\w+)\?\}|:(\w+)\?/g, "{$1$2}");
+  const uriWithoutOptionalParams = route.uri.replace(/\/(\{\w+\?\}|:\w+\?)/g, "") || "/";
+
+  return (earlier) => {
+    const regex = routeRegex(earlier);
+
+    return regex.test(uri) && regex.test(uriWithoutOptionalParams);
+  };
+}
+
+/**
+ * Check a route against the routes created before it for:
+ *    - duplicate names: the route has the same name as an earlier route
+ *    - duplicate routes: the route has the same method, domain and uri as an earlier route
+ *      (ignoring the names of the params)
+ *    - shadowed routes: an earlier route with the same method and domain matches every request to the uri of the route,
+ *      e.g. /users/{id} created before /users/me
+ *
+ * Mounted routes (see the router's serve() method) are not checked,
+ * and fallback routes (which are matched after every other route) are only checked against other fallback routes
+ * for duplicates.
+ *
+ * @param {Object} route: The route data: { method, uri, domain, name, patterns[, mount] }
+ * @param {Array} earlierRoutes: The routes created before the route, in order
+ * @return {Array}: A list of diagnostics: { type, message, route, conflict },
+ *   where `type` is one of "duplicate-name", "duplicate-route" or "shadowed-route",
+ *   and `conflict` is the earlier route
+ */
+function diagnoseRoute(route, earlierRoutes) {
+  // The lists of routes are only ever appended to, so their indexes are kept up to date
+  const index = routeIndexes.get(earlierRoutes) || createRouteIndex();
+
+  routeIndexes.set(earlierRoutes, index);
+  earlierRoutes.slice(index.size).forEach(earlier => indexRoute(index, earlier));
+
+  return diagnoseIndexedRoute(route, index);
+}
+
+/**
+ * Check a route against the routes of an index (see diagnoseRoute()).
+ *
+ * @param {Object} route
+ * @param {Object} index
+ * @return {Array}
+ */
+function diagnoseIndexedRoute(route, index) {
+  const diagnostics = [];
+
+  if(route.mount) {
+    return diagnostics;
+  }
+
+  const source = routeRegex(route).source;
+  const isShadowedBy = shadowTest(route);
+  const key = groupKey(route);
+  const sameName = (route.name && index.names.get(route.name)) || [];
+  const sameGroup = index.groups.get(key) || [];
+  // The earlier routes with the same name or in the same group, in the order they were created
+  const candidates = sameName.length
+    ? [...new Set(sameName.concat(sameGroup))].sort((a, b) => index.positions.get(a) - index.positions.get(b))
+    : sameGroup;
+  const group = sameName.length ? new Set(sameGroup) : undefined;
+
+  for(const earlier of candidates) {
+    // The routes created for each of the methods of a route share their methods (see the router's match() method)
+    const isSameRoute = route.methods !== undefined && route.methods === earlier.methods;
+
+    if(route.name && route.name === earlier.name && !isSameRoute) {
+      diagnostics.push({
+        type: "duplicate-name",
+        message: `The route name "${route.name}" of ${describeRoute(route)} is already used by ${describeRoute(earlier)}.`,
+        route,
+        conflict: earlier
+      });
+    }
+
+    if(group && !group.has(earlier)) {
+      continue;
+    }
+
+    if(source === routeRegex(earlier).source) {
+      diagnostics.push({
+        type: "duplicate-route",
+        message: `The route ${describeRoute(route)} duplicates ${describeRoute(earlier)}.`,
+        route,
+        conflict: earlier
+      });
+    } else if(!route.fallback && isShadowedBy(earlier)) {
+      diagnostics.push({
+        type: "shadowed-route",
+        message: `The route ${describeRoute(route)} is shadowed by ${describeRoute(earlier)}, which was created before it.`,
+        route,
+        conflict: earlier
+      });
+    }
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Check a list of routes for duplicate names, duplicate routes and shadowed routes (see diagnoseRoute()).
+ *
+ * @param {Array} routes: The routes, in the order they were created
+ * @return {Array}: A list of diagnostics
+ */
+function diagnoseRoutes(routes) {
+  const index = createRouteIndex();
+
+  return routes.flatMap(route => {
+    const diagnostics = diagnoseIndexedRoute(route, index);
+
+    indexRoute(index, route);
+
+    return diagnostics;
+  });
+}
+
+module.exports = {
+  diagnoseRoute,
+  diagnoseRoutes
+};
@@ -0,0 +1,357 @@
+"use strict";
+
+const uriToRegex = require("./uri-to-regex");
+const { domainToRegex, matchDomain } = require("./domain-to-regex");
+
+/**
+ * Create an empty node of the route table (tree).
+ *
+ * @return {Object}
+ */
+function createNode() {
+  return {
+    /*
+     * Child nodes for static segments, keyed by the (lowercased) segment
+     */
+    static: new Map(),
+
+    /*
+     * Child nodes for segments that contain params, in the order they were added,
+     * keyed by the regex of the segment (so segments that only differ by the names of their params share a node)
+     */
+    dynamic: [],
+
+    /*
+     * Routes whose uri ends at this node
+     */
+    routes: [],
+
+    /*
+     * Mounted routes (e.g., static file servers) whose uri is a prefix ending at this node
+     */
+    mounts: [],
+
+    /*
+     * Fallback routes whose uri (without the fallback placeholder) is a prefix ending at this node
+     */
+    fallbacks: []
+  };
+}
+
+/**
+ * Determine if a uri segment is made up of only one optional param,
+ * e.g. {name?} or :name?
+ *
+ * @param {String} segment
+ * @return {Boolean}
+ */
+function isOptionalSegment(segment) {
+  return /^(\{\w+\?\}|:\w+\?)$/.test(segment);
+}
+
+function isDynamicSegment(segment) {
+  return /[{:]/.test(segment);
+}
+
+/**
+ * Split a path or uri into its (non-empty) segments.
+ *
+ * @param {String} uri
+ * @return {Array}
+ */
+function splitSegments(uri) {
+  return uri.split("/").filter(segment => segment.length > 0);
+}
+
+/**
+ * Expand a list of uri segments into every combination
+ * with and without its optional segments,
+ * e.g. /foo/{bar?}/{baz?} becomes /foo, /foo/{bar}, /foo/{baz}, /foo/{bar}/{baz}.
+ *
+ * @param {Array} segments
+ * @return {Array}: A list of segment lists
+ */
+function expandOptionalSegments(segments) {
+  let variants = [[]];
+
+  for(const segment of segments) {
+    if(isOptionalSegment(segment)) {
+      const required = segment.replace("?", "");
+
+      variants = variants.concat(variants.map(variant => variant.concat(required)));
+    } else {
+      variants = variants.map(variant => variant.concat(segment));
+    }
+  }
+
+  return variants;
+}
+
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Create a route table: a radix tree (trie) of path segments
+ * that routes can be compiled into and matched against.
+ *
+ * At every segment, static segments take priority over segments with params,
+ * which are checked in the order they were added, against their patterns (if any).
+ * Segments that only differ by the names of their params (e.g. {id} and {user}) share a node,
+ * so the routes below them are matched in the order they were added.
+ * Routes that end at the same segment are matched in the order they were added.
+ * Fallback routes are matched after every other route, from the deepest (most specific) prefix up.
+ * As with Express, matching is case-insensitive and ignores a trailing slash.
+ * Note that a param only ever matches (part of) a single path segment.
+ *
+ * @return {Object}: { add(route), match(method, path[, host]), lookup(method, path[, host]), methods(path[, host]) }
+ */
+module.exports = function createRouteTable() {
+  const root = createNode();
+
+  /*
+   * Every route added to the table gets a sequence number
+   * to keep track of the order in which the routes were added
+   */
+  let sequence = 0;
+
+  /**
+   * Get (or create) the child node of a segment,
+   * collecting the names of the params of the segment into `names`.
+   */
+  function childNode(node, segment, patterns, names) {
+    if(!isDynamicSegment(segment)) {
+      const key = segment.toLowerCase();
+
+      if(!node.static.has(key)) {
+        node.static.set(key, createNode());
+      }
+
+      return node.static.get(key);
+    }
+
+    const matcher = uriToRegex(`/${segment}`, patterns);
+    const key = matcher.regex.source;
+    let child = node.dynamic.find(dynamic => dynamic.key === key);
+
+    if(!child) {
+      child = { key, matcher, node: createNode() };
+      node.dynamic.push(child);
+    }
+
+    names.push(...matcher.keys.map(({ name }) => name));
+
+    return child.node;
+  }
+
+  /**
+   * Get the params of a route entry from the values of the params along the path,
+   * leaving out (optional) params without a value.
+   */
+  function entryParams(entry, values) {
+    const params = {};
+
+    entry.names.forEach((name, index) => {
+      if(values[index] !== undefined) {
+        params[name] = values[index];
+      }
+    });
+
+    return params;
+  }
+
+  /**
+   * Get the params of the route entry's domain extracted from the request host,
+   * or null if the route is restricted to a domain that the host does not match.
+   */
+  function domainParams(entry, host) {
+    if(!entry.domain) {
+      return {};
+    }
+
+    return host === undefined ? null : matchDomain(entry.domain, host);
+  }
+
+  /**
+   * Walk the tree, yielding the matches for the path segments in order of priority.
+   * When walking for fallbacks, only the fallback routes are yielded (from the deepest node up).
+   * The `values` are those of the params along the path, in order.
+   */
+  function* walk(node, segments, index, values, request) {
+    const { methods, pathname, host, fallback } = request;
+
+    if(index === segments.length) {
+      for(const entry of fallback ? [] : node.routes) {
+        const matchesMethod = !methods || methods.includes(entry.route.method) || entry.route.method === "all";
+        const hostParams = matchesMethod ? domainParams(entry, host) : null;
+
+        if(hostParams) {
+          yield { route: entry.route, params: Object.assign(entryParams(entry, values), hostParams) };
+        }
+      }
+    } else {
+      const segment = segments[index];
+      const staticChild = node.static.get(segment.toLowerCase());
+
+      if(staticChild) {
+        yield* walk(staticChild, segments, index + 1, values, request);
+      }
+
+      for(const { matcher, node: child } of node.dynamic) {
+        const matches = matcher.regex.exec(`/${segment}`);
+
+        if(!matches) {
+          continue;
+        }
+
+        const segmentValues = matcher.keys.map(({ index: group }) => {
+          return matches[group] === undefined ? undefined : decodeParam(matches[group]);
+        });
+
+        yield* walk(child, segments, index + 1, values.concat(segmentValues), request);
+      }
+    }
+
+    const remainder = segments.slice(index).join("/");
+
+    for(const entry of fallback ? node.fallbacks : node.mounts) {
+      const hostParams = domainParams(entry, host);
+
+      if(!hostParams) {
+        continue;
+      }
+
+      if(fallback) {
+        yield {
+          route: entry.route,
+          params: Object.assign(
+            entryParams(entry, values),
+            hostParams,
+            remainder ? { fallbackPlaceholder: decodeParam(remainder) } : {}
+          )
+        };
+      } else {
+        yield {
+          route: entry.route,
+          params: Object.assign(entryParams(entry, values), hostParams),
+          remainder: remainder ? `/${remainder}${pathname.endsWith("/") ? "/" : ""}` : "/"
+        };
+      }
+    }
+  }
+
+  /**
+   * Find every route matching the given method and path (and host), in order of priority.
+   *
+   * @param {String|Array} method: The request method, or a list of methods that routes can match,
+   *   e.g. ["head", "get"] to match HEAD requests to both HEAD and GET routes
+   * @param {String} path: the request path (the query string, if any, is ignored)
+   * @param {String} host (optional): the request host.
+   *   Routes restricted to a domain only match if the host is given and matches the domain.
+   * @return {Iterator}: yields { route, params[, remainder] } objects.
+   *   For mounted routes, `remainder` is the part of the path after the route's uri.
+   *   For fallback routes, the part of the path after the route's prefix is the `fallbackPlaceholder` param.
+   */
+  function* lookup(method, path, host) {
+    const [pathname] = `${path}`.split("?");
+
+    const segments = splitSegments(pathname);
+    const request = {
+      methods: [].concat(method).map(method => `${method}`.toLowerCase()),
+      pathname,
+      host
+    };
+
+    yield* walk(root, segments, 0, [], request);
+
+    /*
+     * Fallback routes match after every other route (see the router's fallback() method)
+     */
+    yield* walk(root, segments, 0, [], Object.assign({}, request, { fallback: true }));
+  }
+
+  return {
+    /**
+     * Compile a route into the table.
+     *
+     * @param {Object} route: The route data, with at least the following members:
+     *    - {String} method: the request method
+     *    - {String} uri: the (Laravel-style or Express-style) uri
+     *    - {Object} patterns: the regex patterns of the uri params
+     *    - {Boolean} mount (optional): whether the uri should match as a prefix
+     *      (for any request method), e.g. for static file servers
+     *    - {Boolean} fallback (optional): whether the route is a fallback route,
+     *      whose uri ends with the {fallbackPlaceholder?} param, and that matches (for any request method)
+     *      every path starting with the rest of the uri, after every other route
+     *    - {String} domain (optional): the domain (host) the route is restricted to,
+     *      e.g. {tenant}.example.com, whose params are also constrained by the patterns
+     */
+    add(route) {
+      const entry = {
+        route,
+        sequence: sequence++,
+        domain: route.domain ? domainToRegex(route.domain, route.patterns || {}) : null
+      };
+      const segments = splitSegments(route.uri).slice(0, route.fallback ? -1 : undefined);
+      const variants = route.mount ? [segments] : expandOptionalSegments(segments);
+
+      for(const variant of variants) {
+        const names = [];
+        let node = root;
+
+        for(const segment of variant) {
+          node = childNode(node, segment, route.patterns || {}, names);
+        }
+
+        const list = route.mount ? node.mounts : (route.fallback ? node.fallbacks : node.routes);
+
+        // Variants (of optional segments) that end at the same node, e.g. /{a?}/{b?}, match as the first one
+        if(!list.some(added => added.sequence === entry.sequence)) {
+          list.push(Object.assign({}, entry, { names }));
+          list.sort((a, b) => a.sequence - b.sequence);
+        }
+      }
+    },
+
+    lookup,
+
+    /**
+     * List the methods of the routes matching the given path (and host), regardless of their method,
+     * leaving out mounted routes and fallback routes (which match any method).
+     *
+     * @param {String} path
+     * @param {String} host (optional)
+     * @return {Array}: The (lowercase) methods, in the order the routes were added
+     */
+    methods(path, host) {
+      const [pathname] = `${path}`.split("?");
+      const methods = [];
+
+      for(const { route } of walk(root, splitSegments(pathname), 0, [], { methods: null, pathname, host })) {
+        if(!route.mount && !methods.includes(route.method)) {
+          methods.push(route.method);
+        }
+      }
+
+      return methods;
+    },
+
+    /**
+     * Find the route that best matches the given method and path (and host).
+     *
+     * @param {String} method
+     * @param {String} path
+     * @param {String} host (optional)
+     * @return {Object|null}: { route, params[, remainder] }
+     */
+    match(method, path, host) {
+      const { value } = lookup(method, path, host).next();
+
+      return value || null;
+    }
+  };
+};
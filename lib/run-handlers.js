@@ -0,0 +1,57 @@
+"use strict";
+
+/**
+ * Runs a stack of (connect-style) request handlers in order.
+ *
+ * Each handler is called with (req, res, next), and passes control
+ * to the next handler in the stack by calling next().
+ * Calling next("route") skips the remaining handlers in the stack,
+ * while calling next(err) skips to the next error handler,
+ * i.e., the next handler that accepts four arguments: (err, req, res, next).
+ * Errors thrown by a handler, or rejections of the promise it returns,
+ * are treated like a call to next(err).
+ *
+ * @param {Array} handlers
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Function} done: Called once the stack is exhausted (or skipped),
+ *   with the pending error, if any.
+ * @param {*} [err]: An error that is pending when the stack is run,
+ *   in which case only its error handlers are called.
+ */
+module.exports = function runHandlers(handlers, req, res, done, err) {
+  let index = 0;
+
+  function next(err) {
+    if(err === "route") {
+      done();
+      return;
+    }
+
+    const handler = handlers[index++];
+
+    if(!handler) {
+      done(err);
+      return;
+    }
+
+    const isErrorHandler = handler.length === 4;
+
+    if(Boolean(err) !== isErrorHandler) {
+      next(err);
+      return;
+    }
+
+    try {
+      const result = err ? handler(err, req, res, next) : handler(req, res, next);
+
+      if(result && typeof result.then === "function") {
+        result.then(null, (e) => next(e || new Error("Request handler rejected")));
+      }
+    } catch(e) {
+      next(e);
+    }
+  }
+
+  next(err);
+};
@@ -0,0 +1,32 @@
+"use strict";
+
+/**
+ * Send a (final) response using only the core node.js response methods,
+ * so that it works with both Express (or Express-type) apps and generic node.js apps.
+ *
+ * Objects are sent as JSON, every other value is sent as (plain) text.
+ *
+ * @param {Object} res
+ * @param {Number} status
+ * @param {*} body
+ * @param {Object} headers (optional)
+ */
+module.exports = function sendResponse(res, status, body = "", headers = {}) {
+  let content = body;
+  let contentType = "text/plain; charset=utf-8";
+
+  if(typeof body === "object" && body !== null) {
+    content = JSON.stringify(body);
+    contentType = "application/json; charset=utf-8";
+  }
+
+  res.statusCode = status;
+
+  for(const [header, value] of Object.entries(headers)) {
+    res.setHeader(header, value);
+  }
+
+  res.setHeader("Content-Type", contentType);
+  res.setHeader("Content-Length", Buffer.byteLength(`${content}`));
+  res.end(`${content}`);
+};
@@ -0,0 +1,52 @@
+"use strict";
+
+const sendResponse = require("./send-response");
+
+/**
+ * The default response for bound params whose resolver returns nothing.
+ */
+function notFound(req, res) {
+  sendResponse(res, 404, "Not Found");
+}
+
+/**
+ * Create a middleware that resolves the values of bound route params,
+ * e.g. into models, and makes them available via `req.models`,
+ * similar to Laravel's route model binding.
+ *
+ * If a resolver returns nothing (null or undefined), the `missing` callback of the binding
+ * (or the default `missing` callback) is called instead of the next handler.
+ *
+ * @param {Object} bindings: The bindings of the route params, keyed by param name:
+ *    - {Function} resolver: (value, req) => model, or a promise of the model
+ *    - {Function} missing (optional): (req, res, next) => {}
+ * @param {Function} missing (optional): The default `missing` callback, which responds with a 404 by default
+ * @return {Function}
+ */
+module.exports = function substituteBindings(bindings, missing = notFound) {
+  return async function substituteBindings(req, res, next) {
+    req.models = req.models || {};
+
+    try {
+      for(const [param, binding] of Object.entries(bindings)) {
+        const value = req.params[param];
+
+        if(value === undefined) {
+          continue;
+        }
+
+        const model = await binding.resolver(value, req);
+
+        if(model === null || model === undefined) {
+          return (binding.missing || missing)(req, res, next);
+        }
+
+        req.models[param] = model;
+      }
+    } catch(err) {
+      return next(err);
+    }
+
+    next();
+  };
+};
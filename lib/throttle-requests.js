@@ -0,0 +1,83 @@
+"use strict";
+
+const sendResponse = require("./send-response");
+
+/**
+ * Get the ip address of the client that sent a request.
+ *
+ * @param {Object} req
+ * @return {String}
+ */
+function clientIp(req) {
+  return req.ip || req.socket?.remoteAddress || "";
+}
+
+/**
+ * Set the headers of a response.
+ *
+ * @param {Object} res
+ * @param {Object} headers: The header values, keyed by header name
+ */
+function setHeaders(res, headers) {
+  for(const [name, value] of Object.entries(headers)) {
+    res.setHeader(name, value);
+  }
+}
+
+/**
+ * Create a middleware that rate limits requests, similar to Laravel's ThrottleRequests middleware.
+ *
+ * Every throttle resolves the limits (see lib/limit.js) of a request, whose attempts are counted
+ * by the key of the throttle, the position of the limit and the key of the limit (which defaults to the ip address of the client).
+ * Requests exceeding a limit get a 429 response (unless the limit has a custom response),
+ * with a Retry-After header. Other requests get the RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers
+ * of the limit with the fewest remaining attempts.
+ *
+ * @param {Array} throttles: A list of { key, limits }, where:
+ *    - {String} key: The key that the attempts of the limits are counted by, e.g. the name of a rate limiter
+ *    - {Function} limits: (req) => Limit, a list of limits, or a promise of either
+ * @param {Object} store: The store that counts the attempts (see lib/memory-store.js)
+ * @return {Function}
+ */
+module.exports = function throttleRequests(throttles, store) {
+  return async function throttleRequests(req, res, next) {
+    let headers;
+
+    try {
+      for(const throttle of throttles) {
+        for(const [index, limit] of [].concat(await throttle.limits(req)).entries()) {
+          if(!limit || limit.maxAttempts === Infinity) {
+            continue;
+          }
+
+          // The position of the limit is part of the key, so that the limits of a throttle are counted separately
+          const key = `${throttle.key}:${index}:${limit.key === undefined ? clientIp(req) : limit.key}`;
+          const { hits, resetTime } = await store.increment(key, limit.decaySeconds);
+          const reset = Math.max(0, Math.ceil((resetTime - Date.now()) / 1000));
+          const limitHeaders = {
+            "RateLimit-Limit": limit.maxAttempts,
+            "RateLimit-Remaining": Math.max(0, limit.maxAttempts - hits),
+            "RateLimit-Reset": reset
+          };
+
+          if(hits > limit.maxAttempts) {
+            setHeaders(res, Object.assign(limitHeaders, { "Retry-After": reset }));
+
+            return limit.responseCallback
+              ? limit.responseCallback(req, res, next)
+              : sendResponse(res, 429, "Too Many Attempts.");
+          }
+
+          if(!headers || limitHeaders["RateLimit-Remaining"] < headers["RateLimit-Remaining"]) {
+            headers = limitHeaders;
+          }
+        }
+      }
+    } catch(err) {
+      return next(err);
+    }
+
+    setHeaders(res, headers || {});
+    next();
+  };
+};
@@ -0,0 +1,165 @@
+"use strict";
+
+const countCaptureGroups = require("./count-capture-groups");
+const escapeRegex = require("./escape-regex");
+const trimRegex = require("./trim-regex");
+
+const DEFAULT_PARAM_PATTERN = "[^/]+?";
+
+/**
+ * Split a single path segment (e.g. "v{version}" or ":id")
+ * into a list of static text and param tokens.
+ *
+ * @param {String} segment
+ * @return {Array}
+ */
+function tokenizeSegment(segment) {
+  const tokens = [];
+
+  /*
+   * Are we currently parsing a url parameter
+   */
+  let parsingParam = false;
+
+  /*
+   * The style (Laravel or Express) of the url parameter we are parsing
+   */
+  let currentParamStyle;
+
+  /*
+   * The current url parameter
+   */
+  let currentParam = "";
+
+  /*
+   * Is the current url parameter optional (true) or required (false)
+   */
+  let optional = false;
+
+  /*
+   * The current static (non-param) text
+   */
+  let text = "";
+
+  const closeParam = () => {
+    tokens.push({ param: currentParam, optional });
+    parsingParam = false;
+    currentParam = "";
+    optional = false;
+  };
+
+  for(const character of segment) {
+    if(parsingParam && currentParamStyle === "express" && !/[\w?]/.test(character)) {
+      closeParam();
+    }
+
+    switch(character) {
+    case "{":
+    case ":":
+      if(text) {
+        tokens.push({ text });
+        text = "";
+      }
+
+      parsingParam = true;
+      currentParamStyle = character === "{" ? "laravel" : "express";
+      break;
+
+    case "}":
+      closeParam();
+      break;
+
+    case "?":
+      if(parsingParam) {
+        optional = true;
+      } else {
+        text += character;
+      }
+
+      if(parsingParam && currentParamStyle === "express") {
+        closeParam();
+      }
+      break;
+
+    default:
+      if(parsingParam) {
+        currentParam += character;
+      } else {
+        text += character;
+      }
+
+      break;
+    }
+  }
+
+  if(parsingParam) {
+    closeParam();
+  }
+
+  if(text) {
+    tokens.push({ text });
+  }
+
+  return tokens;
+}
+
+/**
+ * Compiles a string uri written in the Laravel style (e.g. /user/{userId}),
+ * the Express style (e.g /user/:userId), or a mixture of both
+ * into a regular expression that request paths can be matched against.
+ * Params are constrained by their entry in the optional `patterns` object, if any.
+ *
+ * Like Express, matching is case-insensitive and ignores a trailing slash.
+ *
+ * @param {String} uri
+ * @param {Object} patterns
+ * @param {Object} options
+ * @param {Boolean} [options.end]: If false, the path only needs to start with the uri
+ *   (useful for mounting middleware, like static file servers, at a uri).
+ * @return {Object}: { regex: RegExp, keys: Array }
+ *   `keys` lists the param names, each with the index of its capturing group in `regex`.
+ */
+module.exports = function uriToRegex(uri = "", patterns = {}, options = {}) {
+  const { end = true } = options;
+  const keys = [];
+  const segments = uri.split("/").filter(segment => segment.length > 0);
+
+  /*
+   * Index of the next capturing group in the regex
+   */
+  let group = 1;
+
+  let source = "";
+
+  for(const segment of segments) {
+    const tokens = tokenizeSegment(segment);
+    let segmentSource = "";
+
+    for(const token of tokens) {
+      if(token.text !== undefined) {
+        segmentSource += escapeRegex(token.text);
+        continue;
+      }
+
+      const pattern = patterns[token.param]
+        ? trimRegex(patterns[token.param])
+        : DEFAULT_PARAM_PATTERN;
+
+      keys.push({ name: token.param, optional: token.optional, index: group });
+      group += 1 + countCaptureGroups(pattern);
+
+      segmentSource += `(${pattern})${token.optional ? "?" : ""}`;
+    }
+
+    if(tokens.length === 1 && tokens[0].optional) {
+      // A segment made up of only an optional param may be left out altogether.
+      source += `(?:/${segmentSource.slice(0, -1)})?`;
+    } else {
+      source += `/${segmentSource}`;
+    }
+  }
+
+  source = end ? `^${source}/?$` : `^${source}(?=/|$)`;
+
+  return { regex: new RegExp(source, "i"), keys };
+};
@@ -3,6 +3,18 @@
 const qs = require("qs");
 const removeLastCharacter = require("./remove-last-character");
 
+/**
+ * Serialise a (typed) param value for use in a uri.
+ * Dates are serialised to ISO strings (like `qs` does for query params),
+ * and every other value to its string representation.
+ *
+ * @param {*} value
+ * @return {String}
+ */
+function serializeParam(value) {
+  return value instanceof Date ? value.toISOString() : `${value}`;
+}
+
 /**
  * Accepts a (Laravel-style) string uri,
  * optionally with params (e.g. /user/{userId}).
@@ -19,15 +31,19 @@ const removeLastCharacter = require("./remove-last-character");
  * If there are any (regex) patterns defined on the params using the `patterns` object,
  * they must be honored by the supplied params, or an error will be thrown.
  *
+ * Param values can be typed: dates are serialised to ISO strings,
+ * and every other value (e.g. numbers and booleans) to its string representation.
+ *
  * @param {Object} config
  * @param {String} [config.uri]
  * @param {Object} [config.params]
  * @param {Object} [config.patterns]
  * @param {Object} [config.options]
+ * @param {Function} [config.encode]: Encodes the param values, defaults to encodeURI
  * @return {String}
  */
 module.exports = function uriWithParams(config) {
-  let { uri = "", params = {}, patterns = {}, options = {} } = config || {};
+  let { uri = "", params = {}, patterns = {}, options = {}, encode = encodeURI } = config || {};
 
   params = Object.assign({}, params);
 
@@ -65,6 +81,10 @@ module.exports = function uriWithParams(config) {
         );
       }
 
+      if(params[currentParam] !== undefined) {
+        params[currentParam] = serializeParam(params[currentParam]);
+      }
+
       if(patterns[currentParam] && !patterns[currentParam].test(params[currentParam])) {
         throw new Error(
           `The value "${params[currentParam]}" for the param "${currentParam}" ` +
@@ -73,7 +93,7 @@ module.exports = function uriWithParams(config) {
       }
 
       if(params[currentParam] !== undefined) {
-        newUri+= encodeURI(params[currentParam]);
+        newUri+= encode(params[currentParam]);
       }
 
       params[currentParam] = undefined;
@@ -0,0 +1,69 @@
+"use strict";
+
+const crypto = require("crypto");
+const qs = require("qs");
+
+const ORIGIN_REGEX = /^[a-z][a-z\d+.-]*:\/\/[^/?]*/i;
+
+/**
+ * Get the canonical form of a (path and query string, or absolute) url, i.e.,
+ * the (lowercased) scheme and host, if any, and the path,
+ * followed by the query params (without the `signature` param), serialised by `qs` in alphabetical order.
+ * Urls that differ only in the order or the encoding of their query params
+ * have the same canonical form.
+ *
+ * @param {String} url
+ * @return {String}
+ */
+function canonicalUrl(url) {
+  const [pathname, queryString = ""] = `${url}`.split(/\?(.*)/s);
+  const [origin = ""] = pathname.match(ORIGIN_REGEX) || [];
+  const query = qs.parse(queryString);
+
+  delete query.signature;
+
+  return origin.toLowerCase() + pathname.slice(origin.length) + qs.stringify(query, {
+    addQueryPrefix: true,
+    sort: (a, b) => a.localeCompare(b)
+  });
+}
+
+function createSignature(url, key) {
+  return crypto.createHmac("sha256", key).update(canonicalUrl(url)).digest("hex");
+}
+
+/**
+ * Sign a url by appending an (HMAC-SHA256) `signature` query param to it.
+ *
+ * @param {String} url
+ * @param {String} key: The secret signing key
+ * @return {String}
+ */
+function signUrl(url, key) {
+  return `${url}${url.includes("?") ? "&" : "?"}signature=${createSignature(url, key)}`;
+}
+
+/**
+ * Verify the `signature` query param of a signed url,
+ * and that the url has not expired, if it has an `expires` (UNIX timestamp) query param.
+ *
+ * @param {String} url
+ * @param {String} key: The secret signing key
+ * @return {Boolean}
+ */
+function verifyUrlSignature(url, key) {
+  const query = qs.parse(`${url}`.split(/\?(.*)/s)[1] || "");
+  const signature = Buffer.from(typeof query.signature === "string" ? query.signature : "");
+  const expected = Buffer.from(createSignature(url, key));
+
+  if(signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+    return false;
+  }
+
+  return query.expires === undefined || Number(query.expires) * 1000 > Date.now();
+}
+
+module.exports = {
+  signUrl,
+  verifyUrlSignature
+};
@@ -0,0 +1,46 @@
+"use strict";
+
+const coerceValues = require("./coerce-values");
+const sendResponse = require("./send-response");
+
+/**
+ * Create a middleware that validates the params, query and body of requests
+ * against a (compiled) request schema, e.g.:
+ *    { type: "object", properties: { params: {...}, query: {...}, body: {...} } }
+ *
+ * As route params and query params are strings, they are validated after coercing them
+ * to the types their schemas declare (see lib/coerce-values.js), without changing the request.
+ *
+ * Invalid requests get a 422 response with the validation errors, keyed by the JSON pointer
+ * to the invalid value, e.g.:
+ *    { message: "The given data was invalid.", errors: { "/body/email": ["must be a valid email"] } }
+ *
+ * @param {Function} validate: The compiled request schema, (data) => errors,
+ *   where errors is a (possibly empty) list of { pointer, message }
+ * @param {Object} schema (optional): The request schema
+ * @return {Function}
+ */
+module.exports = function validateRequest(validate, schema = {}) {
+  const { params, query } = schema.properties || {};
+
+  return function validateRequest(req, res, next) {
+    const errors = validate({
+      params: coerceValues(params, req.params),
+      query: coerceValues(query, req.query),
+      body: req.body
+    });
+
+    if(!errors.length) {
+      next();
+      return;
+    }
+
+    const messages = {};
+
+    for(const { pointer, message } of errors) {
+      messages[pointer] = (messages[pointer] || []).concat(message);
+    }
+
+    sendResponse(res, 422, { message: "The given data was invalid.", errors: messages });
+  };
+};
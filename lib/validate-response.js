@@ -0,0 +1,85 @@
+"use strict";
+
+const JSON_CONTENT_TYPE_REGEX = /^application\/([\w.+-]+\+)?json\b/i;
+
+/**
+ * Find the (compiled) schema of a response status, looking for the exact status (e.g. "201"),
+ * then the status range (e.g. "2XX"), then the "default" response.
+ *
+ * @param {Object} validators: The compiled response schemas, keyed by status
+ * @param {Number} status
+ * @return {Function|undefined}
+ */
+function findValidator(validators, status) {
+  return validators[status] || validators[`${`${status}`.charAt(0)}XX`] || validators.default;
+}
+
+/**
+ * Create a middleware that validates the JSON responses of a route against their schemas,
+ * by wrapping `res.json()` (as used by `res.send()` for objects on Express apps)
+ * or, if there is none (e.g. on generic node apps), `res.end()` for JSON responses.
+ *
+ * @param {Object} validators: The compiled response schemas, (body) => errors, keyed by status
+ *   (e.g. "200", "2XX" or "default"), where errors is a (possibly empty) list of { pointer, message }
+ * @param {Object} options:
+ *    - {String} route: The description of the route, used in the mismatch messages
+ *    - {String} onMismatch: "warn" to emit a (process) warning for responses that do not match their schema,
+ *      or "throw" to throw an error (from `res.json()` or `res.end()`)
+ * @return {Function}
+ */
+module.exports = function validateResponse(validators, options) {
+  const { route, onMismatch = "warn" } = options;
+
+  const check = (res, body) => {
+    const validate = findValidator(validators, res.statusCode);
+    const errors = validate ? validate(body) : [];
+
+    if(!errors.length) {
+      return;
+    }
+
+    const details = errors.map(({ pointer, message }) => `${pointer || "/"} ${message}`).join("; ");
+    const message = `The ${res.statusCode} response of the route ${route} does not match its schema: ${details}`;
+
+    if(onMismatch === "throw") {
+      const error = new Error(message);
+
+      error.errors = errors;
+      throw error;
+    }
+
+    process.emitWarning(message, "ResponseValidationWarning");
+  };
+
+  return function validateResponse(req, res, next) {
+    if(typeof res.json === "function") {
+      const json = res.json;
+
+      res.json = function(body) {
+        check(res, body);
+
+        return json.apply(this, arguments);
+      };
+    } else {
+      const end = res.end;
+
+      res.end = function(chunk) {
+        if(chunk !== undefined && JSON_CONTENT_TYPE_REGEX.test(res.getHeader("Content-Type") || "")) {
+          let body;
+
+          try {
+            body = JSON.parse(`${chunk}`);
+          } catch {
+            body = undefined;
+          }
+
+          check(res, body);
+        }
+
+        return end.apply(this, arguments);
+      };
+    }
+
+    next();
+  };
+};
@@ -0,0 +1,47 @@
+"use strict";
+
+const escapeRegex = require("./escape-regex");
+
+/*
+ * The patterns of the "where" helpers that constrain params to a type of value.
+ * Note that, being used in Express paths, the patterns must not contain capturing groups.
+ */
+const WHERE_PATTERNS = {
+  whereNumber: /^[0-9]+$/,
+  whereAlpha: /^[a-zA-Z]+$/,
+  whereAlphaNumeric: /^[a-zA-Z0-9]+$/,
+  whereUuid: /^[\da-fA-F]{8}-[\da-fA-F]{4}-[\da-fA-F]{4}-[\da-fA-F]{4}-[\da-fA-F]{12}$/,
+  whereUlid: /^[0-7][0-9A-HJKMNP-TV-Za-hjkmnp-tv-z]{25}$/
+};
+
+/**
+ * Convert the "where" helper options of a route (or group)
+ * into an object of regex patterns, keyed by param, similar to Laravel's
+ * whereNumber(), whereAlpha(), whereAlphaNumeric(), whereUuid(), whereUlid() and whereIn().
+ *
+ * @param {Object} options:
+ *    - {String|Array} whereNumber: the param(s) that must be numbers
+ *    - {String|Array} whereAlpha: the param(s) that must contain only letters
+ *    - {String|Array} whereAlphaNumeric: the param(s) that must contain only letters and numbers
+ *    - {String|Array} whereUuid: the param(s) that must be UUIDs
+ *    - {String|Array} whereUlid: the param(s) that must be ULIDs
+ *    - {Object} whereIn: the values allowed for params, keyed by param, e.g. { status: ["draft", "published"] }
+ * @return {Object}
+ */
+module.exports = function wherePatterns(options = {}) {
+  const patterns = {};
+
+  for(const [helper, pattern] of Object.entries(WHERE_PATTERNS)) {
+    for(const param of [].concat(options[helper] || [])) {
+      patterns[param] = pattern;
+    }
+  }
+
+  for(const [param, values] of Object.entries(options.whereIn || {})) {
+    const alternatives = values.map(escapeRegex);
+
+    patterns[param] = new RegExp(`^(?:${alternatives.join("|")})$`);
+  }
+
+  return patterns;
+};
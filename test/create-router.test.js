@@ -1,7 +1,12 @@
 "use strict";
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
 const express = require("express");
 const supertest = require("supertest");
 const createRouter = require("../lib/create-router");
+const Limit = require("../lib/limit");
 
 const methods = [
   "checkout",
@@ -60,7 +65,7 @@ describe("createRouter(app:express[, mapActionToHandler:function]):Router", func
               {
                 url: "/",
                 method: "post",
-                status: 404
+                status: 405
               },
               {
                 url: "/foo",
@@ -91,7 +96,7 @@ describe("createRouter(app:express[, mapActionToHandler:function]):Router", func
               {
                 url: "/foo",
                 method: "post",
-                status: 404
+                status: 405
               },
               {
                 url: "/",
@@ -216,7 +221,7 @@ describe("createRouter(app:express[, mapActionToHandler:function]):Router", func
               {
                 url: "/",
                 method: "post",
-                status: 404
+                status: 405
               },
               {
                 url: "/foo",
@@ -249,7 +254,7 @@ describe("createRouter(app:express[, mapActionToHandler:function]):Router", func
               {
                 url: "/foo",
                 method: "post",
-                status: 404
+                status: 405
               },
               {
                 url: "/",
@@ -471,158 +476,2056 @@ describe("createRouter(app:express[, mapActionToHandler:function]):Router", func
                 }
               }, (req, res) => {
 
-                res.send(req.params.user);
-              });
-            });
-          });
+                res.send(req.params.user);
+              });
+            });
+          });
+
+        });
+
+        const getUserUrl = router.url("base.version.users.getUser", {version: 1, user: 2});
+        const getUserUrlResult = "/api/v1/users/2";
+        if(getUserUrl !== getUserUrlResult) {
+          throw new Error(`Expected "${getUserUrlResult}", got ${getUserUrl} instead.`);
+        }
+
+        const getNameUrl = router.url("base.version.users.getName", {version: 1, user: "shaunpersad"});
+        const getNameUrlResult = "/api/v1/users/shaunpersad/name";
+
+        if(getNameUrl !== getNameUrlResult) {
+          throw new Error(`Expected "${getNameUrlResult}", got ${getNameUrl} instead.`);
+        }
+
+        supertest(app).get(getUserUrl).expect(200).end((err, res) => {
+          if(err) {
+            throw err;
+          }
+
+          if(res.body.mCount !== mCount) {
+            throw new Error("Not all middlewares have been traversed");
+          }
+
+          supertest(app).get(getNameUrl).expect(200, "shaunpersad", done);
+        });
+      });
+    });
+
+    describe("router.url(name:string, params:object)", function() {
+      it("generates urls to routes that have been named", function() {
+        router.group({
+          prefix: "/foo",
+          namespace: "bar."
+        }, (router) => {
+          router.route({ name: "baz" }, (req, res) => {
+            res.send("OK");
+          });
+        });
+
+        router.route({ uri: "/", name: "index" }, (req, res) => {
+          res.send("OK");
+        });
+
+        const barBaz = router.url("bar.baz");
+        const barBazResult = "/foo";
+
+        if(barBaz !== barBazResult) {
+          throw new Error(`Expected "${barBazResult}", got "${barBaz}" instead`);
+        }
+
+        const index = router.url("index");
+        const indexResult = "/";
+
+        if(index !== indexResult) {
+          throw new Error(`Expected "${indexResult}", got "${index}" instead`);
+        }
+      });
+
+      it("fills in params with the values supplied", function() {
+        router.group({
+          prefix: "/{foo}"
+        }, (router) => {
+          router.route({ uri: "/{bar}", name: "baz" }, (req, res) => {
+            res.send("OK");
+          });
+        });
+
+        const baz = router.url("baz", {foo: 1, bar: 2});
+        const bazResult = "/1/2";
+
+        if(baz !== bazResult) {
+          throw new Error(`Expected "${bazResult}", got "${baz}" instead`);
+        }
+      });
+
+      it("appends a query string if params are found that are not in the uri", function() {
+        router.group({
+          prefix: "/{foo}"
+        }, (router) => {
+          router.route({ uri: "/{bar}", name: "baz" }, (req, res) => {
+            res.send("OK");
+          });
+        });
+
+        const baz = router.url("baz", {foo: 1, bar: 2, a: "b", c: {d: "e"}}, {encode: false});
+        const bazResult = "/1/2?a=b&c[d]=e";
+
+        if(baz !== bazResult) {
+          throw new Error(`Expected "${bazResult}", got "${baz}" instead`);
+        }
+
+      });
+
+      it("throws an error if a non-optional param is not supplied", function() {
+        router.group({
+          prefix: "/{foo}"
+        }, (router) => {
+          router.route({ uri: "/{bar}", name: "baz" }, (req, res) => {
+            res.send("OK");
+          });
+        });
+
+        let error = false;
+
+        try {
+          // eslint-disable-next-line
+          const baz = router.url("baz", {foo: 1});
+        } catch(e) { // eslint-disable-line
+          error = true;
+        }
+
+        if(!error) {
+          throw new Error("Should have thrown an error.");
+        }
+      });
+
+      it("will not throw an error if an optional param is not supplied", function() {
+        router.group({
+          prefix: "/{foo}"
+        }, (router) => {
+          router.route({ uri: "/{bar?}", name: "baz" }, (req, res) => {
+            res.send("OK");
+          });
+        });
+
+        const baz = router.url("baz", {foo: 1});
+
+        if(baz !== "/1") {
+          throw new Error(`Expected "/1", got "${baz}" instead`);
+        }
+      });
+    });
+
+    describe("router.{method}", function() {
+      describe("different HTTP methods can also be routed to via router.{method} (or router[method])", function() {
+        methods.forEach(method => {
+          it(`successfully routes to ${method} requests`, function(done) {
+            const uri = "/foo";
+
+            router[method](uri, (req, res) => {
+              res.send("OK");
+            });
+
+            supertest(app)[method](uri).expect(200, done);
+          });
+        });
+      });
+    });
+
+    describe("router.resource(name:string, controller:object[, options:object])", function() {
+      const photoController = {
+        index: (req, res) => res.send("index"),
+        create: (req, res) => res.send("create"),
+        store: (req, res) => res.send("store"),
+        show: (req, res) => res.send(`show ${req.params.photo}`),
+        edit: (req, res) => res.send(`edit ${req.params.photo}`),
+        update: (req, res) => res.send(`update ${req.params.photo}`),
+        destroy: (req, res) => res.send(`destroy ${req.params.photo}`)
+      };
+
+      it("creates the conventional resource routes, with Laravel-style names", function(done) {
+        router.resource("photos", photoController);
+
+        const expected = [
+          { name: "photos.index", url: "/photos", method: "get", response: "index" },
+          { name: "photos.create", url: "/photos/create", method: "get", response: "create" },
+          { name: "photos.store", url: "/photos", method: "post", response: "store" },
+          { name: "photos.show", url: "/photos/1", method: "get", response: "show 1" },
+          { name: "photos.edit", url: "/photos/1/edit", method: "get", response: "edit 1" },
+          { name: "photos.update", url: "/photos/1", method: "put", response: "update 1" },
+          { name: "photos.update", url: "/photos/1", method: "patch", response: "update 1" },
+          { name: "photos.destroy", url: "/photos/1", method: "delete", response: "destroy 1" }
+        ];
+
+        expected.forEach(({ name, url }) => {
+          const generatedUrl = router.url(name, { photo: 1 });
+
+          if(generatedUrl.split("?")[0] !== url) {
+            throw new Error(`Expected "${url}" for "${name}", got "${generatedUrl}" instead.`);
+          }
+        });
+
+        (function next(index) {
+          if(index === expected.length) {
+            return done();
+          }
+
+          const { url, method, response } = expected[index];
+
+          supertest(app)[method](url).expect(200, response, (err) => {
+            if(err) {
+              return done(err);
+            }
+
+            next(index + 1);
+          });
+        })(0);
+      });
+
+      it("supports the \"only\", \"except\", \"parameters\" and \"names\" options", function() {
+        router.resource("photos", photoController, {
+          only: ["index", "show"],
+          parameters: { photos: "image" },
+          names: { index: "gallery" }
+        });
+        router.resource("videos", photoController, { except: ["create", "edit", "destroy"] });
+
+        const names = router.list().map(route => `${route.method} ${route.uri} ${route.name}`);
+        const expected = [
+          "GET /photos gallery",
+          "GET /photos/{image} photos.show",
+          "GET /videos videos.index",
+          "POST /videos videos.store",
+          "GET /videos/{video} videos.show",
+          "PUT /videos/{video} videos.update",
+          "PATCH /videos/{video} "
+        ];
+
+        if(names.join("\n") !== expected.join("\n")) {
+          throw new Error(`Unexpected routes:\n${names.join("\n")}`);
+        }
+      });
+
+      it("supports middleware for every action, or for specific actions", function(done) {
+        const routes = [];
+
+        router.resource("photos", photoController, {
+          only: ["index", "store"],
+          middleware: [(req, res, next) => {
+            res.set("X-Resource", "photos");
+            next();
+          }],
+          middlewareFor: {
+            store: [(req, res) => res.status(401).send("Unauthorized")]
+          }
+        });
+
+        router.apply((route) => routes.push(route));
+
+        supertest(app).get("/photos").expect("X-Resource", "photos").expect(200, "index", (err) => {
+          if(err) {
+            return done(err);
+          }
+
+          supertest(app).post("/photos").expect(401, done);
+        });
+      });
+
+      it("creates nested resource routes, named using \"dot\" notation", function(done) {
+        const commentController = {
+          index: (req, res) => res.send(`comments of ${req.params.photo}`),
+          show: (req, res) => res.send(`comment ${req.params.comment} of ${req.params.photo}`)
+        };
+
+        router.group({ prefix: "/albums/{album}", namespace: "albums." }, (router) => {
+          router.resource("photos.comments", commentController, {
+            only: ["index", "show"],
+            patterns: { comment: /^\d+$/ }
+          });
+        });
+
+        const url = router.url("albums.photos.comments.show", { album: "a", photo: 2, comment: 3 });
+
+        if(url !== "/albums/a/photos/2/comments/3") {
+          throw new Error(`Expected "/albums/a/photos/2/comments/3", got "${url}" instead.`);
+        }
+
+        supertest(app).get(url).expect(200, "comment 3 of 2", (err) => {
+          if(err) {
+            return done(err);
+          }
+
+          supertest(app).get("/albums/a/photos/2/comments/three").expect(404, done);
+        });
+      });
+
+      it("creates shallow nested resource routes, with the \"shallow\" option", function() {
+        router.resource("photos.comments", photoController, {
+          shallow: true,
+          except: ["create", "edit"],
+          parameters: { photos: "image" }
+        });
+
+        const routes = router.list().map(route => `${route.method} ${route.uri} ${route.name}`);
+        const expected = [
+          "GET /photos/{image}/comments photos.comments.index",
+          "POST /photos/{image}/comments photos.comments.store",
+          "GET /comments/{comment} comments.show",
+          "PUT /comments/{comment} comments.update",
+          "PATCH /comments/{comment} ",
+          "DELETE /comments/{comment} comments.destroy"
+        ];
+
+        if(routes.join("\n") !== expected.join("\n")) {
+          throw new Error(`Unexpected routes:\n${routes.join("\n")}`);
+        }
+
+        const url = router.url("comments.show", { comment: 5 });
+
+        if(url !== "/comments/5") {
+          throw new Error(`Expected "/comments/5", got "${url}" instead.`);
+        }
+      });
+
+      it("throws an error if the controller has no method for an action", function() {
+        let error = false;
+
+        try {
+          router.resource("photos", { index: photoController.index });
+        } catch(e) {
+          error = e.message.includes("\"create\"");
+        }
+
+        if(!error) {
+          throw new Error("Should have thrown an error naming the missing action.");
+        }
+      });
+
+      it("passes the controller methods through mapActionToHandler", function(done) {
+        // eslint-disable-next-line
+        const router = createRouter(app, (action, routeDescription, routeOptions) => {
+          return (req, res) => res.send(`${routeDescription.name}: ${action.label}`);
+        });
+
+        router.resource("photos", {
+          index: { label: "All photos" },
+          show: { label: "One photo" }
+        }, { only: ["index", "show"] });
+
+        supertest(app).get("/photos/1").expect(200, "photos.show: One photo", done);
+      });
+    });
+
+    describe("router.apiResource(name:string, controller:object[, options:object])", function() {
+      it("creates the resource routes, except the ones that present HTML forms", function() {
+        const handler = (req, res) => res.send("OK");
+
+        router.group({ prefix: "/api", namespace: "api." }, (router) => {
+          router.apiResource("categories", {
+            index: handler,
+            store: handler,
+            show: handler,
+            update: handler,
+            destroy: handler
+          });
+        });
+
+        const routes = router.list().map(route => `${route.method} ${route.uri} ${route.name}`);
+        const expected = [
+          "GET /api/categories api.categories.index",
+          "POST /api/categories api.categories.store",
+          "GET /api/categories/{category} api.categories.show",
+          "PUT /api/categories/{category} api.categories.update",
+          "PATCH /api/categories/{category} ",
+          "DELETE /api/categories/{category} api.categories.destroy"
+        ];
+
+        if(routes.join("\n") !== expected.join("\n")) {
+          throw new Error(`Unexpected routes:\n${routes.join("\n")}`);
+        }
+      });
+    });
+
+    describe("controller actions", function() {
+      class UserController {
+        constructor() {
+          this.prefix = "user";
+        }
+
+        show(req, res) {
+          res.send(`${this.prefix} ${req.params.user}`);
+        }
+      }
+
+      const postController = {
+        index(req, res) {
+          res.send("posts");
+        }
+      };
+
+      it("resolves Laravel-style string actions using the controller registry", function(done) {
+        const router = createRouter(app, { controllers: { UserController, postController } });
+
+        router.get("/users/{user}", "UserController@show");
+        router.get("/posts", "postController@index");
+
+        supertest(app).get("/users/1").expect(200, "user 1", (err) => {
+          if(err) {
+            return done(err);
+          }
+
+          supertest(app).get("/posts").expect(200, "posts", done);
+        });
+      });
+
+      it("resolves array actions, referencing the controller by name or by class", function(done) {
+        const router = createRouter(app, { controllers: { UserController } });
+
+        router.get("/users/{user}", ["UserController", "show"]);
+        router.get("/people/{user}", [UserController, "show"]);
+
+        supertest(app).get("/users/1").expect(200, "user 1", (err) => {
+          if(err) {
+            return done(err);
+          }
+
+          supertest(app).get("/people/2").expect(200, "user 2", done);
+        });
+      });
+
+      it("prefixes controller names with the group controller namespace", function(done) {
+        const router = createRouter(app, { controllers: `${__dirname}/fixtures/controllers` });
+
+        router.group({ prefix: "/admin", controllerNamespace: "admin/" }, (router) => {
+          router.get({ uri: "/reports", name: "reports" }, "ReportController@index");
+        });
+
+        if(router.list()[0].action !== "admin/ReportController@index") {
+          throw new Error("Expected the route to reference its (namespaced) action.");
+        }
+
+        supertest(app).get("/admin/reports").expect(200, "reports", done);
+      });
+
+      it("throws the errors of loading controllers from a directory", function() {
+        const router = createRouter(app, { controllers: `${__dirname}/fixtures/controllers` });
+        let message;
+
+        try {
+          router.get("/broken", "BrokenController@index");
+        } catch(e) {
+          message = e.message;
+        }
+
+        if(!message || !message.includes("Cannot find module 'not-installed-pkg'")) {
+          throw new Error(`Expected the error of the controller's missing dependency, got "${message}" instead.`);
+        }
+      });
+
+      it("resolves resource controllers by name", function(done) {
+        const router = createRouter(app, { controllers: { postController } });
+
+        router.resource("posts", "postController", { only: ["index"] });
+
+        supertest(app).get("/posts").expect(200, "posts", done);
+      });
+
+      it("throws an error naming the route, for unknown controllers or methods", function() {
+        const router = createRouter(app, { controllers: { UserController } });
+        const tests = [
+          {
+            action: "AccountController@show",
+            message: "Cannot create the route \"users.show\": The controller \"AccountController\" is not registered."
+          },
+          {
+            action: [UserController, "edit"],
+            message: "Cannot create the route \"users.show\": The controller \"UserController\" has no \"edit\" method."
+          }
+        ];
+
+        tests.forEach(({ action, message }) => {
+          let error;
+
+          try {
+            router.get({ uri: "/users/{user}", name: "users.show" }, action);
+          } catch(e) {
+            error = e;
+          }
+
+          if(!error || error.message !== message) {
+            throw new Error(`Expected the error "${message}", got "${error && error.message}" instead.`);
+          }
+        });
+
+        let error;
+
+        try {
+          router.post("/users", "UserController@store");
+        } catch(e) {
+          error = e;
+        }
+
+        if(!error || !error.message.startsWith("Cannot create the route POST /users:")) {
+          throw new Error("Expected the error to name the method and uri of unnamed routes.");
+        }
+      });
+
+      it("passes controller actions to a custom mapActionToHandler without the \"controllers\" option", function() {
+        const actions = [];
+        const mappingRouter = createRouter((action) => {
+          actions.push(action);
+
+          return (req, res) => res.end();
+        });
+
+        mappingRouter.get("/x", "UserController@show");
+
+        if(actions[0] !== "UserController@show") {
+          throw new Error(`Expected the action to be passed as is, got "${actions[0]}" instead.`);
+        }
+      });
+    });
+
+    describe("middleware aliases and groups", function() {
+      function trace(label) {
+        return (req, res, next) => {
+          req.trace = (req.trace || []).concat(label);
+          next();
+        };
+      }
+
+      it("resolves middleware aliases, parameterised aliases and middleware groups", function(done) {
+        router.aliasMiddleware("auth", trace("auth"));
+        router.aliasMiddleware("can", (ability, model) => trace(`can ${ability} ${model}`));
+        router.aliasMiddleware("throttle", trace("throttle"));
+        router.middlewareGroup("api", ["throttle", "auth"]);
+
+        router.group({ prefix: "/api", middleware: ["api"] }, (router) => {
+          router.get({ uri: "/posts/{post}/edit", middleware: ["can:edit,post"] }, (req, res) => {
+            res.send(req.trace.join(", "));
+          });
+        });
+
+        const [route] = router.list();
+
+        if(route.middleware.join(", ") !== "throttle, auth, can:edit,post") {
+          throw new Error(`Expected the middleware aliases, got "${route.middleware.join(", ")}" instead.`);
+        }
+
+        supertest(app).get("/api/posts/1/edit").expect(200, "throttle, auth, can edit post", done);
+      });
+
+      it("throws an error at registration for unknown aliases", function() {
+        const tests = [
+          () => router.get({ uri: "/", name: "home", middleware: ["auth"] }, () => {}),
+          () => router.group({ middleware: ["auth"] }, (router) => router.get("/", () => {})),
+          () => router.group({ middleware: ["auth"] }, (router) => router.serve("/assets", () => {})),
+          () => router.middlewareGroup("web", ["web"]).get({ middleware: ["web"] }, () => {})
+        ];
+        const messages = [
+          "Cannot create the route \"home\": The middleware \"auth\" is not registered.",
+          "Cannot create the route GET /: The middleware \"auth\" is not registered.",
+          "Cannot serve the uri /assets: The middleware \"auth\" is not registered.",
+          "Cannot create the route GET /: The middleware group \"web\" includes itself."
+        ];
+
+        tests.forEach((test, index) => {
+          let error;
+
+          try {
+            test();
+          } catch(e) {
+            error = e;
+          }
+
+          if(!error || error.message !== messages[index]) {
+            throw new Error(`Expected the error "${messages[index]}", got "${error && error.message}" instead.`);
+          }
+        });
+      });
+
+      it("excludes inherited middleware, with the \"withoutMiddleware\" option", function(done) {
+        const log = trace("log");
+
+        router.aliasMiddleware("auth", (req, res) => res.status(401).send("Unauthorized"));
+        router.aliasMiddleware("can", () => (req, res) => res.status(403).send("Forbidden"));
+
+        router.group({ prefix: "/account", middleware: [log, "auth", "can:view,account"] }, (router) => {
+          router.get({ uri: "/login", withoutMiddleware: ["auth", "can"] }, (req, res) => {
+            res.send(req.trace.join(", "));
+          });
+
+          router.group({ prefix: "/public", withoutMiddleware: [log, "auth", "can"] }, (router) => {
+            router.get("/terms", (req, res) => res.send(`${req.trace}`));
+            router.serve("/assets", (req, res) => res.send("assets"), { withoutMiddleware: [] });
+          });
+
+          router.get("/settings", (req, res) => res.send("settings"));
+        });
+
+        supertest(app).get("/account/login").expect(200, "log", (err) => {
+          if(err) {
+            return done(err);
+          }
+
+          supertest(app).get("/account/public/terms").expect(200, "undefined", (err) => {
+            if(err) {
+              return done(err);
+            }
+
+            supertest(app).get("/account/settings").expect(401, done);
+          });
+        });
+      });
+
+      it("throws an error if the excluded middleware is not inherited", function() {
+        const tests = [
+          () => router.get({ uri: "/", withoutMiddleware: [trace("log")] }, () => {}),
+          () => router.group({ prefix: "/admin", withoutMiddleware: ["auth"] }, () => {}),
+          () => router.serve("/assets", () => {}, { withoutMiddleware: ["auth"] })
+        ];
+        const messages = [
+          "Cannot create the route GET /: The middleware \"Closure\" is not inherited, so it cannot be excluded.",
+          "Cannot create the group /admin: The middleware \"auth\" is not inherited, so it cannot be excluded.",
+          "Cannot serve the uri /assets: The middleware \"auth\" is not inherited, so it cannot be excluded."
+        ];
+
+        tests.forEach((test, index) => {
+          let error;
+
+          try {
+            test();
+          } catch(e) {
+            error = e;
+          }
+
+          if(!error || error.message !== messages[index]) {
+            throw new Error(`Expected the error "${messages[index]}", got "${error && error.message}" instead.`);
+          }
+        });
+      });
+    });
+
+    describe("route model binding", function() {
+      const users = { 1: { id: 1, name: "John" } };
+
+      class User {
+        static find(id) {
+          return users[id] || null;
+        }
+
+        static async findById(id) {
+          return users[id];
+        }
+      }
+
+      it("resolves bound params using router.bind(), making them available via req.models", function(done) {
+        router.bind("user", async (value, req) => {
+          return req.query.missing ? null : users[value];
+        });
+
+        router.get("/users/{user}/{tab?}", (req, res) => {
+          res.send(`${req.models.user.name} ${req.params.user}`);
+        });
+
+        supertest(app).get("/users/1").expect(200, "John 1", (err) => {
+          if(err) {
+            return done(err);
+          }
+
+          supertest(app).get("/users/1?missing=1").expect(404, done);
+        });
+      });
+
+      it("resolves bound params using router.model()", function(done) {
+        router.model("user", User);
+        router.model("friend", User, { method: "findById" });
+
+        router.get("/users/{user}/friends/{friend}", (req, res) => {
+          res.send(`${req.models.user.name} ${req.models.friend.id}`);
+        });
+
+        supertest(app).get("/users/1/friends/1").expect(200, "John 1", (err) => {
+          if(err) {
+            return done(err);
+          }
+
+          supertest(app).get("/users/1/friends/2").expect(404, done);
+        });
+      });
+
+      it("calls the \"missing\" callback when the resolver returns nothing", function(done) {
+        const router = createRouter(app, {
+          missingModel: (req, res) => res.status(410).send("Gone")
+        });
+
+        router.model("user", User);
+        router.model("post", { find: () => undefined }, {
+          missing: (req, res) => res.redirect("/posts")
+        });
+
+        router.get("/users/{user}", (req, res) => res.send("OK"));
+        router.get("/posts/{post}", (req, res) => res.send("OK"));
+
+        supertest(app).get("/users/2").expect(410, "Gone", (err) => {
+          if(err) {
+            return done(err);
+          }
+
+          supertest(app).get("/posts/1").expect(302).expect("Location", "/posts", done);
+        });
+      });
+
+      it("passes resolver errors on to the error handlers", function(done) {
+        router.bind("user", () => {
+          throw new Error("Database error");
+        });
+
+        router.get("/users/{user}", (req, res) => res.send("OK"));
+
+        app.use((err, req, res, next) => { // eslint-disable-line no-unused-vars
+          res.status(503).send(err.message);
+        });
+
+        supertest(app).get("/users/1").expect(503, "Database error", done);
+      });
+
+      it("resolves bound params when routing lazily", function(done) {
+        nodeRouter.model("user", User);
+
+        nodeRouter.get("/users/{user}", (req, res) => {
+          res.send(req.models.user.name);
+        });
+
+        nodeRouter.apply(function(route) {
+          const { method, path, handlers } = route;
+
+          app[method](path, handlers);
+        });
+
+        supertest(app).get("/users/1").expect(200, "John", (err) => {
+          if(err) {
+            return done(err);
+          }
+
+          supertest(http.createServer(nodeRouter.handler())).get("/users/3").expect(404, done);
+        });
+      });
+    });
+
+    describe("router.pattern(param:string, pattern:RegExp|string)", function() {
+      it("applies router-wide patterns to every route created afterwards, including group routes", function(done) {
+        router.get({ uri: "/before/{id}", name: "before" }, (req, res) => res.send("before"));
+
+        router.pattern("id", "[0-9]+");
+        router.pattern({ slug: /^[a-z-]+$/ });
+
+        router.group("/posts", (router) => {
+          router.get({ uri: "/{id}", name: "post" }, (req, res) => res.send("post"));
+          router.get({ uri: "/{slug}/{id}", name: "slug", patterns: { id: /^\w+$/ } }, (req, res) => {
+            res.send("slug");
+          });
+        });
+
+        let error = false;
+
+        try {
+          router.url("post", { id: "one" });
+        } catch {
+          error = true;
+        }
+
+        if(!error || router.url("before", { id: "one" }) !== "/before/one") {
+          throw new Error("Expected the pattern to apply to the routes created afterwards only.");
+        }
+
+        supertest(app).get("/posts/one").expect(404, (err) => {
+          if(err) {
+            return done(err);
+          }
+
+          supertest(app).get("/posts/hello-world/one").expect(200, "slug", done);
+        });
+      });
+    });
+
+    describe("\"where\" helper options", function() {
+      it("constrain route and group params to types of values", function(done) {
+        const handler = (req, res) => res.send(Object.values(req.params).join(","));
+
+        router.group({ prefix: "/{locale}", whereIn: { locale: ["en", "fr"] } }, (router) => {
+          router.get({ uri: "/users/{id}", name: "user", whereNumber: "id" }, handler);
+          router.get({ uri: "/tags/{tag}", whereAlpha: ["tag"] }, handler);
+          router.get({ uri: "/codes/{code}", whereAlphaNumeric: "code" }, handler);
+          router.get({ uri: "/orders/{order}", whereUuid: "order" }, handler);
+          router.get({ uri: "/events/{event}", whereUlid: "event" }, handler);
+        });
+
+        const tests = [
+          { url: "/en/users/12", status: 200 },
+          { url: "/de/users/12", status: 404 },
+          { url: "/en/users/twelve", status: 404 },
+          { url: "/fr/tags/news", status: 200 },
+          { url: "/fr/tags/news1", status: 404 },
+          { url: "/fr/codes/a1", status: 200 },
+          { url: "/fr/codes/a-1", status: 404 },
+          { url: "/en/orders/123e4567-e89b-12d3-a456-426614174000", status: 200 },
+          { url: "/en/orders/123e4567", status: 404 },
+          { url: "/en/events/01ARZ3NDEKTSV4RRFFQ69G5FAV", status: 200 },
+          { url: "/en/events/01ARZ3NDEKTSV4RRFFQ69G5FAU1", status: 404 }
+        ];
+
+        let error = false;
+
+        try {
+          router.url("user", { locale: "de", id: 1 });
+        } catch {
+          error = true;
+        }
+
+        if(!error) {
+          throw new Error("Expected url() to honor the \"where\" patterns.");
+        }
+
+        (function next(index) {
+          if(index === tests.length) {
+            return done();
+          }
+
+          const { url, status } = tests[index];
+
+          supertest(app).get(url).expect(status, (err) => {
+            if(err) {
+              return done(new Error(`${url}: ${err.message}`));
+            }
+
+            next(index + 1);
+          });
+        })(0);
+      });
+    });
+
+    describe("typed params", function() {
+      it("casts params to the types of the \"casts\" option", function(done) {
+        router.group({ prefix: "/reports/{active}", casts: { active: "bool" } }, (router) => {
+          router.get({
+            uri: "/{id}/{at}/{ratio}/{label}",
+            casts: { id: "int", at: "date", ratio: "float", label: (value) => value.toUpperCase() }
+          }, (req, res) => {
+            const { active, id, at, ratio, label } = req.params;
+
+            res.json([typeof active, active, typeof id, id, at instanceof Date, ratio, label]);
+          });
+        });
+
+        supertest(app).get("/reports/true/12/2024-05-01/0.5/draft")
+          .expect(200, ["boolean", true, "number", 12, true, 0.5, "DRAFT"])
+          .end((err) => {
+            if(err) {
+              return done(err);
+            }
+
+            supertest(app).get("/reports/maybe/12/2024-05-01/0.5/draft").expect(404, (err) => {
+              if(err) {
+                return done(err);
+              }
+
+              supertest(app).get("/reports/true/12/never/0.5/draft").expect(404, done);
+            });
+          });
+      });
+
+      it("casts whereNumber params to integers", function(done) {
+        router.get({ uri: "/users/{id}", whereNumber: "id" }, (req, res) => {
+          res.send(typeof req.params.id);
+        });
+
+        supertest(app).get("/users/12").expect(200, "number", done);
+      });
+
+      it("responds with the \"castFailureStatus\" option status on cast failure", function(done) {
+        const router = createRouter(app, { castFailureStatus: 400 });
+
+        router.get({ uri: "/users/{id}", casts: { id: "int" } }, (req, res) => res.send("OK"));
+
+        supertest(app).get("/users/1.5").expect(400, done);
+      });
+
+      it("throws an error for unsupported casts", function() {
+        let error;
+
+        try {
+          router.get({ uri: "/users/{id}", casts: { id: "uuid" } }, () => {});
+        } catch(e) {
+          error = e;
+        }
+
+        const message = "Cannot create the route GET /users/{id}: The cast \"uuid\" of the param \"id\" is not supported.";
+
+        if(!error || error.message !== message) {
+          throw new Error(`Expected the error "${message}", got "${error && error.message}" instead.`);
+        }
+      });
+
+      it("generates urls from typed param values", function() {
+        router.get({
+          uri: "/events/{at}/{id}/{public}",
+          name: "events",
+          casts: { at: "date", id: "int", public: "bool" },
+          whereNumber: "id"
+        }, () => {});
+
+        const at = new Date(Date.UTC(2024, 4, 1));
+        const url = router.url("events", { at, id: 12, public: false, since: at });
+        const expected = "/events/2024-05-01T00:00:00.000Z/12/false?since=2024-05-01T00%3A00%3A00.000Z";
+
+        if(url !== expected) {
+          throw new Error(`Expected "${expected}", got "${url}" instead.`);
+        }
+      });
+    });
+
+    describe("domain routing", function() {
+      it("restricts the routes of a \"domain\" group to that host, extracting its params", function(done) {
+        router.group({
+          domain: "{tenant}.api.example.com",
+          patterns: { tenant: /^[a-z]+$/ },
+          casts: { user: "int" }
+        }, (router) => {
+          router.get("/users/{user}", (req, res) => res.json(req.params));
+        });
+
+        router.get("/users/{user}", (req, res) => res.send("main"));
+
+        supertest(app)
+          .get("/users/1")
+          .set("Host", "acme.api.example.com:3000")
+          .expect(200, { tenant: "acme", user: 1 }, (err) => {
+            if(err) {
+              return done(err);
+            }
+
+            supertest(app)
+              .get("/users/1")
+              .set("Host", "ac-me.api.example.com")
+              .expect(200, "main", (err) => {
+                if(err) {
+                  return done(err);
+                }
+
+                supertest(app).get("/users/1").set("Host", "example.com").expect(200, "main", done);
+              });
+          });
+      });
+
+      it("respects the X-Forwarded-Host header of trusted proxies", function(done) {
+        const proxiedRouter = createRouter(app, { trustProxy: true });
+
+        proxiedRouter.group({ domain: "{tenant}.example.com" }, (router) => {
+          router.get("/", (req, res) => res.send(req.params.tenant));
+        });
+
+        supertest(app)
+          .get("/")
+          .set("Host", "localhost")
+          .set("X-Forwarded-Host", "acme.example.com")
+          .expect(200, "acme", done);
+      });
+
+      it("restricts the routes of generic routers, exposing the domain on the route records", function(done) {
+        nodeRouter.group({ domain: "{tenant}.example.com" }, (router) => {
+          router.get("/", (req, res) => res.end(`tenant ${req.params.tenant}`));
+        });
+
+        nodeRouter.get("/", (req, res) => res.end("main"));
+
+        const domains = [];
+
+        nodeRouter.apply(route => domains.push(route.domain));
+
+        if(domains.join(",") !== ",{tenant}.example.com") {
+          throw new Error(`Unexpected route domains "${domains.join(",")}".`);
+        }
+
+        if(nodeRouter.match("get", "/", "acme.example.com").params.tenant !== "acme") {
+          throw new Error("Expected router.match() to match the host against the domain.");
+        }
+
+        const server = http.createServer(nodeRouter.handler());
+
+        supertest(server).get("/").set("Host", "acme.example.com").expect(200, "tenant acme", (err) => {
+          if(err) {
+            return done(err);
+          }
+
+          supertest(server).get("/").set("Host", "example.com").expect(200, "main", done);
+        });
+      });
+    });
+
+    describe("router.current(req), router.is(req, ...names) and router.currentUrlWith(req, overrides)", function() {
+      it("exposes the route handling the request", function(done) {
+        router.group({ prefix: "/users", namespace: "users.", meta: { section: "users" } }, (router) => {
+          router.get({ uri: "/{user}", name: "show" }, (req, res) => {
+            const { method, uri, name, meta } = router.current(req);
+
+            res.json({ method, uri, name, meta });
+          });
+        });
+
+        supertest(app).get("/users/1").expect(200, {
+          method: "get",
+          uri: "/users/{user}",
+          name: "users.show",
+          meta: { section: "users" }
+        }, done);
+      });
+
+      it("tracks the current route when passing control on with next(\"route\")", function(done) {
+        nodeRouter.get({ uri: "/{first}", name: "first" }, (req, res, next) => next("route"));
+        nodeRouter.get({ uri: "/{second}", name: "second" }, (req, res) => res.end(nodeRouter.current(req).name));
+
+        supertest(http.createServer(nodeRouter.handler())).get("/foo").expect(200, "second", (err) => {
+          if(err) {
+            return done(err);
+          }
+
+          if(nodeRouter.current({}) !== null) {
+            return done(new Error("Expected no current route for unhandled requests."));
+          }
+
+          done();
+        });
+      });
+
+      it("checks the name of the current route against names with wildcards", function(done) {
+        router.get({ uri: "/admin/users", name: "admin.users.index" }, (req, res) => {
+          res.json([
+            router.is(req, "admin.users.index"),
+            router.is(req, "admin.*"),
+            router.is(req, "posts.*", "*.index"),
+            router.is(req, ["posts.*", "admin.posts.*"]),
+            router.is(req, "admin")
+          ]);
+        });
+
+        router.get("/anonymous", (req, res) => res.json(router.is(req, "*")));
+
+        supertest(app).get("/admin/users").expect(200, [true, true, true, false, false], (err) => {
+          if(err) {
+            return done(err);
+          }
+
+          supertest(app).get("/anonymous").expect(200, "false", done);
+        });
+      });
+
+      it("regenerates the url of the current request with changed params and query params", function(done) {
+        router.get({ uri: "/users/{user}/posts/{page?}", name: "posts", casts: { user: "int" } }, (req, res) => {
+          res.json([
+            router.currentUrlWith(req, { page: 2 }),
+            router.currentUrlWith(req, { user: 5, sort: undefined }),
+            router.currentUrlWith(req, {}, { absolute: true })
+          ]);
+        });
+
+        supertest(app).get("/users/1/posts?sort=date&tag[]=a").set("Host", "example.com").expect(200, [
+          "/users/1/posts/2?sort=date&tag%5B0%5D=a",
+          "/users/5/posts?tag%5B0%5D=a",
+          "http://example.com/users/1/posts?sort=date&tag%5B0%5D=a"
+        ], done);
+      });
+    });
+
+    describe("strict mode and router.validate()", function() {
+      it("reports duplicate names, duplicate routes and shadowed routes, including those of groups", function() {
+        router.get({ uri: "/users/{id}", name: "users.show" }, () => {});
+        router.group({ prefix: "/users" }, (router) => {
+          router.get({ uri: "/me", name: "users.me" }, () => {});
+          router.get({ uri: "/{user}", name: "users.show" }, () => {});
+          router.post({ uri: "/{user}" }, () => {});
+        });
+        router.get({ uri: "/posts/{id}", patterns: { id: /^\d+$/ } }, () => {});
+        router.get("/posts/latest", () => {});
+
+        const diagnostics = router.validate().map(({ type, route, conflict }) => {
+          return `${type} ${route.uri} ${conflict.uri}`;
+        });
+
+        const expected = [
+          "shadowed-route /users/me /users/{id}",
+          "duplicate-name /users/{user} /users/{id}",
+          "duplicate-route /users/{user} /users/{id}"
+        ];
+
+        if(JSON.stringify(diagnostics) !== JSON.stringify(expected)) {
+          throw new Error(`Unexpected diagnostics: ${JSON.stringify(diagnostics)}`);
+        }
+      });
+
+      it("throws an error for duplicate names and routes in strict mode", function() {
+        const strictRouter = createRouter(app, { strict: true });
+        const errors = [];
+
+        strictRouter.get({ uri: "/users/{id}", name: "users.show" }, () => {});
+        strictRouter.put({ uri: "/users/{id}", name: "users.update" }, () => {});
+
+        const attempts = [
+          () => strictRouter.get({ uri: "/profile", name: "users.show" }, () => {}),
+          () => strictRouter.group({ prefix: "/users" }, (router) => router.get("/{user}", () => {}))
+        ];
+
+        attempts.forEach(attempt => {
+          try {
+            attempt();
+          } catch(e) {
+            errors.push(e.message);
+          }
+        });
+
+        const expected = [
+          "Cannot create the route \"users.show\": The route name \"users.show\" of GET /profile (\"users.show\") " +
+            "is already used by GET /users/{id} (\"users.show\").",
+          "Cannot create the route GET /users/{user}: The route GET /users/{user} duplicates GET /users/{id} (\"users.show\")."
+        ];
+
+        if(JSON.stringify(errors) !== JSON.stringify(expected)) {
+          throw new Error(`Unexpected errors: ${JSON.stringify(errors)}`);
+        }
+
+        if(strictRouter.list().length !== 2) {
+          throw new Error("Expected the rejected routes not to be created.");
+        }
+      });
+
+      it("emits a warning for shadowed routes in strict mode", function(done) {
+        const strictRouter = createRouter(app, { strict: true });
+
+        process.once("warning", (warning) => {
+          if(warning.name !== "RouteWarning" || !/GET \/users\/me is shadowed by GET \/users\/{id}/.test(warning.message)) {
+            return done(new Error(`Unexpected warning "${warning.name}: ${warning.message}".`));
+          }
+
+          done();
+        });
+
+        strictRouter.get("/users/{id}", () => {});
+        strictRouter.get("/users/me", () => {});
+      });
+    });
+
+    describe("route caching", function() {
+      const controllers = {
+        UserController: {
+          show(req, res) {
+            res.json({ params: req.params, tenant: req.tenant });
+          }
+        }
+      };
+
+      function tenant(req, res, next) {
+        req.tenant = "acme";
+        next();
+      }
+
+      function defineRoutes(router) {
+        router.aliasMiddleware("tenant", tenant);
+        router.group({ prefix: "/users", namespace: "users.", middleware: ["tenant"], meta: { section: "users" } }, (router) => {
+          router.get({ uri: "/{user}", name: "show", whereNumber: "user", throttle: ["60,1"] }, "UserController@show");
+        });
+        router.group({ domain: "{account}.example.com" }, (router) => {
+          router.get({ uri: "/profile", name: "profile", casts: { at: "date" } }, "UserController@show");
+        });
+      }
+
+      it("serialises every route with router.toJSON()", function() {
+        const cachedRouter = createRouter(app, { controllers });
+
+        defineRoutes(cachedRouter);
+
+        const data = JSON.parse(JSON.stringify(cachedRouter));
+
+        if(data.version !== 1 || data.routes.length !== 2) {
+          throw new Error(`Unexpected route cache ${JSON.stringify(data)}.`);
+        }
+
+        const [show, profile] = data.routes;
+        const expected = {
+          method: "get",
+          uri: "/users/{user}",
+          path: show.path,
+          domain: "",
+          namespace: "users.",
+          name: "users.show",
+          patterns: { user: { source: "^[0-9]+$", flags: "" } },
+          casts: { user: "int" },
+          meta: { section: "users" },
+          middleware: ["tenant"],
+          throttle: ["60,1"],
+          fallback: false,
+          action: "UserController@show"
+        };
+
+        if(JSON.stringify(show) !== JSON.stringify(expected) || profile.domain !== "{account}.example.com") {
+          throw new Error(`Unexpected cached routes ${JSON.stringify(data.routes)}.`);
+        }
+      });
+
+      it("rebuilds the routes with createRouter.fromCache(), from data or a cache file", function(done) {
+        const file = path.join(os.tmpdir(), `routes-${process.pid}.json`);
+        const cachedRouter = createRouter({ controllers });
+
+        defineRoutes(cachedRouter);
+        cachedRouter.cache(file);
+
+        const router = createRouter.fromCache(file, {
+          app,
+          options: { controllers },
+          setup: (router) => router.aliasMiddleware("tenant", tenant)
+        });
+
+        fs.unlinkSync(file);
+
+        if(JSON.stringify(router.list()) !== JSON.stringify(cachedRouter.list())) {
+          throw new Error("Expected the rebuilt routes to equal the cached routes.");
+        }
+
+        if(router.url("profile", { account: "acme" }) !== "http://acme.example.com/profile") {
+          throw new Error("Expected the rebuilt routes to be named.");
+        }
+
+        supertest(app).get("/users/12").expect(200, { params: { user: 12 }, tenant: "acme" }, (err) => {
+          if(err) {
+            return done(err);
+          }
+
+          supertest(app).get("/users/one").expect(404, done);
+        });
+      });
+
+      it("throws an error for routes that cannot be cached", function() {
+        const attempts = [
+          (router) => router.get("/closure", () => {}),
+          (router) => router.get({ uri: "/middleware", middleware: [tenant] }, "UserController@show"),
+          (router) => router.get({ uri: "/casts", casts: { id: Number } }, "UserController@show")
+        ];
+
+        const errors = attempts.map(attempt => {
+          const router = createRouter({ controllers });
+
+          attempt(router);
+
+          try {
+            router.toJSON();
+          } catch(e) {
+            return e.message;
+          }
+        });
+
+        const expected = [
+          "Cannot cache the route GET /closure: Only controller actions (or other string actions) can be cached.",
+          "Cannot cache the route GET /middleware: The middleware \"tenant\" is not a middleware alias, so it cannot be cached.",
+          "Cannot cache the route GET /casts: The cast of the param \"id\" is a function, so it cannot be cached."
+        ];
+
+        if(JSON.stringify(errors) !== JSON.stringify(expected)) {
+          throw new Error(`Unexpected errors: ${JSON.stringify(errors)}`);
+        }
+      });
+    });
+
+    describe("request validation", function() {
+      const requestSchema = {
+        type: "object",
+        properties: {
+          params: {
+            type: "object",
+            properties: { user: { type: "integer" } }
+          },
+          query: {
+            type: "object",
+            properties: { notify: { enum: ["yes", "no"] } }
+          },
+          body: {
+            type: "object",
+            properties: { email: { type: "string", format: "email" } },
+            required: ["email"]
+          }
+        },
+        required: ["body"]
+      };
+
+      it("validates the params, query and body of requests against the route's request schema", function(done) {
+        const validatingRouter = createRouter(app, { validateRequests: true });
+
+        app.use(express.json());
+
+        validatingRouter.put({
+          uri: "/users/{user}",
+          casts: { user: "int" },
+          meta: { requestSchema }
+        }, (req, res) => res.json(req.body));
+
+        supertest(app)
+          .put("/users/1?notify=yes")
+          .send({ email: "jane@example.com" })
+          .expect(200, { email: "jane@example.com" }, (err) => {
+            if(err) {
+              return done(err);
+            }
+
+            supertest(app)
+              .put("/users/1?notify=maybe")
+              .send({ email: "jane" })
+              .expect(422, {
+                message: "The given data was invalid.",
+                errors: {
+                  "/query/notify": ["must be one of \"yes\", \"no\""],
+                  "/body/email": ["must be a valid email"]
+                }
+              }, done);
+          });
+      });
+
+      it("coerces params and query params to the types of their schemas", async function() {
+        const validatingRouter = createRouter(app, { validateRequests: true });
+
+        validatingRouter.get({
+          uri: "/users/{id}",
+          meta: {
+            requestSchema: {
+              type: "object",
+              properties: {
+                params: { type: "object", properties: { id: { type: "integer" } } },
+                query: { type: "object", properties: { page: { type: "integer", minimum: 1 }, all: { type: "boolean" } } }
+              }
+            }
+          }
+        }, (req, res) => res.json([req.params.id, req.query.page]));
+
+        await supertest(app).get("/users/3?page=2&all=true").expect(200, ["3", "2"]);
+        await supertest(app).get("/users/3?page=0").expect(422, {
+          message: "The given data was invalid.",
+          errors: { "/query/page": ["must be greater than or equal to 1"] }
+        });
+        await supertest(app).get("/users/a?page=two").expect(422, {
+          message: "The given data was invalid.",
+          errors: { "/params/id": ["must be of type integer"], "/query/page": ["must be of type integer"] }
+        });
+      });
+
+      it("leaves requests unvalidated unless enabled", function(done) {
+        router.post({ uri: "/users", meta: { requestSchema } }, (req, res) => res.send("created"));
+
+        supertest(app).post("/users").expect(200, "created", done);
+      });
+
+      it("compiles the schemas once, using the \"schemaValidator\" option", function(done) {
+        const compiled = [];
+        const schemaValidator = (schema) => {
+          compiled.push(schema);
+
+          return (data) => data.query.token ? [] : [{ pointer: "/query/token", message: "is required" }];
+        };
+        const validatingRouter = createRouter({ validateRequests: true, schemaValidator });
+
+        validatingRouter.get({ uri: "/reports", meta: { requestSchema } }, (req, res) => res.end("reports"));
+        validatingRouter.get("/health", (req, res) => res.end("ok"));
+
+        const server = http.createServer(validatingRouter.handler());
+
+        supertest(server).get("/reports").expect(422, {
+          message: "The given data was invalid.",
+          errors: { "/query/token": ["is required"] }
+        }, (err) => {
+          if(err) {
+            return done(err);
+          }
+
+          supertest(server).get("/reports?token=1").expect(200, "reports", (err) => {
+            if(err) {
+              return done(err);
+            }
+
+            if(compiled.length !== 1 || compiled[0] !== requestSchema) {
+              return done(new Error("Expected the request schema to be compiled once."));
+            }
+
+            done();
+          });
+        });
+      });
+    });
+
+    describe("response validation", function() {
+      const payloadSchema = {
+        type: "object",
+        properties: { id: { type: "integer" } },
+        required: ["id"]
+      };
+
+      it("throws an error for responses that do not match their schema", function(done) {
+        const validatingRouter = createRouter(app, { validateResponses: "throw", env: "test" });
+        const errors = [];
+
+        validatingRouter.get({ uri: "/users/{user}", name: "users.show", meta: { payloadSchema } }, (req, res) => {
+          res.send(req.params.user === "1" ? { id: 1 } : { id: req.params.user });
+        });
+
+        app.use((err, req, res, next) => { // eslint-disable-line no-unused-vars
+          errors.push(err.message);
+          res.status(500).end();
+        });
+
+        supertest(app).get("/users/1").expect(200, { id: 1 }, (err) => {
+          if(err) {
+            return done(err);
+          }
+
+          supertest(app).get("/users/one").expect(500, (err) => {
+            if(err) {
+              return done(err);
+            }
+
+            const expected = "The 200 response of the route \"users.show\" does not match its schema: /id must be of type integer";
+
+            if(errors[0] !== expected) {
+              return done(new Error(`Unexpected error "${errors[0]}".`));
+            }
+
+            done();
+          });
+        });
+      });
+
+      it("emits a warning for JSON responses of generic routers, using the \"responses\" schemas", function(done) {
+        const validatingRouter = createRouter({ validateResponses: "warn", env: "development" });
+
+        validatingRouter.post({
+          uri: "/users",
+          meta: {
+            responses: {
+              "201": { description: "Created", content: { "application/json": { schema: payloadSchema } } },
+              "4XX": { description: "Error", content: { "application/json": { schema: { type: "string" } } } }
+            }
+          }
+        }, (req, res) => {
+          res.statusCode = 201;
+          res.setHeader("Content-Type", "application/json");
+          res.end(JSON.stringify({ id: "1" }));
+        });
+
+        process.once("warning", (warning) => {
+          const expected = "The 201 response of the route POST /users does not match its schema: /id must be of type integer";
+
+          if(warning.name !== "ResponseValidationWarning" || warning.message !== expected) {
+            return done(new Error(`Unexpected warning "${warning.name}: ${warning.message}".`));
+          }
+
+          done();
+        });
+
+        supertest(http.createServer(validatingRouter.handler())).post("/users").expect(201).end(() => {});
+      });
+
+      it("skips response validation entirely in production", function() {
+        const handlerCounts = ["test", "production"].map(env => {
+          const validatingRouter = createRouter({ validateResponses: "throw", env });
+
+          validatingRouter.get({ uri: "/users/{user}", meta: { payloadSchema } }, () => {});
+
+          return validatingRouter.match("get", "/users/1").route.handlers.length;
+        });
+
+        if(handlerCounts[1] !== handlerCounts[0] - 1) {
+          throw new Error(`Expected no response validation middleware in production, got ${handlerCounts}.`);
+        }
+      });
+    });
+
+    describe("rate limiting", function() {
+      it("rate limits requests using named rate limiters, shared by the routes that use them", async function() {
+        router.rateLimiter("api", () => Limit.perMinute(2));
+
+        router.group({ prefix: "/api", throttle: ["api"] }, (router) => {
+          router.get("/users", (req, res) => res.send("users"));
+          router.get("/posts", (req, res) => res.send("posts"));
+        });
+
+        await supertest(app)
+          .get("/api/users")
+          .expect("RateLimit-Limit", "2")
+          .expect("RateLimit-Remaining", "1")
+          .expect("RateLimit-Reset", "60")
+          .expect(200, "users");
+
+        await supertest(app).get("/api/posts").expect("RateLimit-Remaining", "0").expect(200, "posts");
+
+        const res = await supertest(app).get("/api/users").expect("Retry-After", "60").expect(429);
+
+        if(res.text !== "Too Many Attempts." || res.headers["ratelimit-remaining"] !== "0") {
+          throw new Error(`Unexpected response "${res.text}".`);
+        }
+      });
+
+      it("counts the attempts of inline limits per route, and by the keys of the limits", async function() {
+        router.rateLimiter("per-user", (req) => [Limit.perMinute(1).by(req.query.user), Limit.none()]);
+
+        router.get({ uri: "/reports", throttle: "1,5" }, (req, res) => res.send("reports"));
+        router.get({ uri: "/exports", throttle: ["1,5"] }, (req, res) => res.send("exports"));
+        router.get({ uri: "/profile", throttle: ["per-user"] }, (req, res) => res.send("profile"));
+
+        await supertest(app).get("/reports").expect("RateLimit-Reset", "300").expect(200);
+        await supertest(app).get("/exports").expect(200);
+        await supertest(app).get("/reports").expect("Retry-After", "300").expect(429);
+
+        await supertest(app).get("/profile?user=1").expect(200);
+        await supertest(app).get("/profile?user=2").expect(200);
+        await supertest(app).get("/profile?user=1").expect(429);
+      });
+
+      it("counts the attempts of the limits of a rate limiter separately", async function() {
+        router.rateLimiter("api", () => [Limit.perMinute(2), Limit.perDay(100)]);
+        router.get({ uri: "/users", throttle: ["api"] }, (req, res) => res.send("users"));
+
+        await supertest(app).get("/users").expect("RateLimit-Remaining", "1").expect(200);
+        await supertest(app).get("/users").expect("RateLimit-Remaining", "0").expect(200);
+        await supertest(app).get("/users").expect(429);
+      });
+
+      it("counts the attempts of limits with the same decay separately, and of rate limiters used twice once", async function() {
+        router.rateLimiter("api", () => [Limit.perMinute(3), Limit.perMinute(100)]);
+        router.rateLimiter("login", () => Limit.perMinute(2));
+        router.get({ uri: "/users", throttle: ["api"] }, (req, res) => res.send("users"));
+        router.group({ throttle: ["login"] }, (router) => {
+          router.post({ uri: "/login", throttle: ["login"] }, (req, res) => res.send("welcome"));
+        });
+
+        await supertest(app).get("/users").expect("RateLimit-Remaining", "2").expect(200);
+        await supertest(app).get("/users").expect("RateLimit-Remaining", "1").expect(200);
+        await supertest(app).get("/users").expect("RateLimit-Remaining", "0").expect(200);
+        await supertest(app).get("/users").expect(429);
+
+        await supertest(app).post("/login").expect("RateLimit-Remaining", "1").expect(200);
+        await supertest(app).post("/login").expect("RateLimit-Remaining", "0").expect(200);
+        await supertest(app).post("/login").expect(429);
+      });
+
+      it("uses the custom responses of limits, and the \"rateLimitStore\" option", async function() {
+        const keys = [];
+        const rateLimitStore = {
+          async increment(key, decaySeconds) {
+            keys.push(key);
+
+            return { hits: keys.length, resetTime: Date.now() + decaySeconds * 1000 };
+          }
+        };
+        const limitingRouter = createRouter({ rateLimitStore });
+
+        limitingRouter.rateLimiter("login", (req) => Limit.perSecond(1).by(req.headers["x-user"]).response((req, res) => {
+          res.statusCode = 503;
+          res.end("Slow down.");
+        }));
+        limitingRouter.post({ uri: "/login", throttle: ["login"] }, (req, res) => res.end("welcome"));
+
+        const server = http.createServer(limitingRouter.handler());
+
+        await supertest(server).post("/login").set("X-User", "jane").expect(200, "welcome");
+        await supertest(server).post("/login").set("X-User", "jane").expect("Retry-After", "1").expect(503, "Slow down.");
+
+        if(keys.join(",") !== "login:0:jane,login:0:jane") {
+          throw new Error(`Unexpected keys "${keys}".`);
+        }
+      });
+
+      it("throws an error when creating a route with an unknown rate limiter", function() {
+        let message;
+
+        try {
+          router.get({ uri: "/users", name: "users", throttle: ["api"] }, () => {});
+        } catch(e) {
+          message = e.message;
+        }
+
+        if(message !== "Cannot create the route \"users\": The rate limiter \"api\" is not registered.") {
+          throw new Error(`Unexpected error "${message}".`);
+        }
+      });
+    });
+
+    describe("router.fallback(action:*[, options:object])", function() {
+      function defineRoutes(router) {
+        router.fallback((req, res) => res.status(404).send(`Page not found: ${req.params.fallbackPlaceholder}`));
+
+        const api = (req, res, next) => {
+          res.set("X-Api", "1");
+          next();
+        };
+
+        router.group({ prefix: "/api", middleware: [api] }, (router) => {
+          router.fallback((req, res) => res.status(404).json({ message: "Not found." }), { name: "api.fallback" });
+          router.get("/users", (req, res) => res.json(["jane"]));
+        });
+
+        router.get("/about", (req, res) => res.send("about"));
+      }
+
+      it("handles the requests no other route handles, after every route created later", async function() {
+        defineRoutes(router);
+
+        await supertest(app).get("/about").expect(200, "about");
+        await supertest(app).get("/api/users").expect(200, ["jane"]);
+        await supertest(app).delete("/api/users/1").expect("X-Api", "1").expect(404, { message: "Not found." });
+        await supertest(app).get("/api").expect(404, { message: "Not found." });
+        await supertest(app).post("/web/pages/1").expect(404, "Page not found: web/pages/1");
+        await supertest(app).get("/apis").expect(404, "Page not found: apis");
+      });
+
+      it("handles the requests no other route handles on generic routers", async function() {
+        nodeRouter.fallback((req, res) => res.end(`fallback: ${req.params.fallbackPlaceholder || ""}`));
+        nodeRouter.group("/api/{version}", (router) => {
+          router.fallback((req, res) => res.end(`api ${req.params.version} fallback: ${req.params.fallbackPlaceholder}`));
+          router.get("/users", (req, res) => res.end("users"));
+        });
+
+        const server = http.createServer(nodeRouter.handler());
+
+        await supertest(server).get("/api/v1/users").expect(200, "users");
+        await supertest(server).put("/api/v1/users/a%20b").expect(200, "api v1 fallback: users/a b");
+        await supertest(server).get("/").expect(200, "fallback: ");
+
+        if(!nodeRouter.match("get", "/api/v2/posts").route.fallback || nodeRouter.match("get", "/api/v2/users").route.fallback) {
+          throw new Error("Expected router.match() to match fallbacks after every other route.");
+        }
+      });
+
+      it("applies the fallback routes last, from the most specific to the least specific", function() {
+        const lazyRouter = createRouter();
+        const routes = [];
+
+        defineRoutes(lazyRouter);
+        lazyRouter.apply(route => routes.push(`${route.method} ${route.path}${route.fallback ? " (fallback)" : ""}`));
+
+        const expected = [
+          "get /about",
+          "get /api/users",
+          "all /api/:fallbackPlaceholder(*)? (fallback)",
+          "all /:fallbackPlaceholder(*)? (fallback)"
+        ];
+
+        if(routes.join(",") !== expected.join(",")) {
+          throw new Error(`Unexpected routes ${JSON.stringify(routes)}.`);
+        }
+
+        if(lazyRouter.url("api.fallback") !== "/api") {
+          throw new Error("Expected fallback routes to be named.");
+        }
+      });
+    });
+
+    describe("router.redirect(from:string, to:string|object[, status:number, options:object])", function() {
+      it("redirects requests to uris, filling in the params of the request", async function() {
+        router.redirect("/home", "/");
+        router.permanentRedirect("/u/{id}", "/users/{id}");
+        router.redirect("/search/{page?}", "https://search.example.com/find/{page?}?site=example", 307, { preserveQuery: true });
+
+        await supertest(app).get("/home").expect("Location", "/").expect(302);
+        await supertest(app).post("/u/a%20b").expect("Location", "/users/a%20b").expect(301);
+        await supertest(app).get("/search?q=router").expect("Location", "https://search.example.com/find?site=example&q=router").expect(307);
+        await supertest(app).get("/search/2").expect("Location", "https://search.example.com/find/2?site=example").expect(307);
+      });
+
+      it("encodes the params of the request as uri components", async function() {
+        router.redirect("/docs/{page}", "/{page}");
+        router.redirect("/legacy/{article}", "/articles/{article}");
+        router.redirect("/u/{id}", { route: "page", params: { page: "{id}" } });
+        router.get({ uri: "/{page}", name: "page" }, (req, res) => res.end());
+
+        await supertest(app).get("/docs/%2F%2Fevil.com").expect("Location", "/%2F%2Fevil.com").expect(302);
+        await supertest(app).get("/legacy/a%3Fx%3D1").expect("Location", "/articles/a%3Fx%3D1").expect(302);
+        await supertest(app).get("/u/%2F%2Fevil.com%23x").expect("Location", "/%2F%2Fevil.com%23x").expect(302);
+      });
+
+      it("redirects requests to named routes, mapping the params of the request", async function() {
+        nodeRouter.group({ prefix: "/legacy", namespace: "legacy." }, (router) => {
+          router.redirect("/u/{id}", { route: "users.show", params: { user: "{id}", tab: "profile" } }, 302, {
+            name: "user",
+            preserveQuery: true
+          });
+        });
+        nodeRouter.get({ uri: "/users/{user}", name: "users.show" }, (req, res) => res.end());
+
+        const server = http.createServer(nodeRouter.handler());
+
+        await supertest(server).get("/legacy/u/1?ref=mail").expect("Location", "/users/1?tab=profile&ref=mail").expect(302);
+        await supertest(server).get("/users/1").expect(200);
+
+        if(nodeRouter.url("legacy.user", { id: 2 }) !== "/legacy/u/2") {
+          throw new Error("Expected the redirect route to be named.");
+        }
+
+        const [redirect] = createRouter().permanentRedirect("/u/{id}", { route: "users.show" }).toJSON().routes;
+
+        if(redirect.method !== "all" || redirect.redirect.to.route !== "users.show" || redirect.redirect.status !== 301) {
+          throw new Error(`Unexpected cached redirect ${JSON.stringify(redirect)}.`);
+        }
+      });
+    });
+
+    describe("router.match(methods:array, options:object|string, action:*) and router.any(options:object|string, action:*)", function() {
+      it("creates a route for several methods at once", async function() {
+        router.match(["get", "POST"], { uri: "/contact", name: "contact" }, (req, res) => {
+          res.send(`${req.method} ${router.current(req).methods.join(",")}`);
+        });
+        router.any("/webhooks/{provider}", (req, res) => res.send(`${req.method} ${req.params.provider}`));
+
+        await supertest(app).get("/contact").expect(200, "GET get,post");
+        await supertest(app).post("/contact").expect(200, "POST get,post");
+        await supertest(app).put("/contact").expect(405);
+        await supertest(app).delete("/webhooks/stripe").expect(200, "DELETE stripe");
+
+        const routes = router.list().map(route => `${route.method} ${route.uri} ${route.name}`);
+        const expected = [
+          "GET|POST /contact contact",
+          "GET|HEAD|POST|PUT|PATCH|DELETE|OPTIONS /webhooks/{provider} "
+        ];
+
+        if(routes.join(",") !== expected.join(",")) {
+          throw new Error(`Unexpected routes ${JSON.stringify(routes)}.`);
+        }
+
+        if(router.url("contact") !== "/contact" || router.validate().length !== 0) {
+          throw new Error("Expected the route to be named once.");
+        }
+      });
+
+      it("routes each of the methods on generic routers and with apply()", async function() {
+        nodeRouter.match(["put", "patch"], { uri: "/users/{user}", name: "users.update" }, (req, res) => res.end(req.method));
+
+        const routes = [];
+
+        nodeRouter.apply(route => routes.push(`${route.method} ${route.path} ${route.name}`));
+
+        if(routes.join(",") !== "put /users/:user users.update,patch /users/:user users.update") {
+          throw new Error(`Unexpected routes ${JSON.stringify(routes)}.`);
+        }
+
+        await supertest(http.createServer(nodeRouter.handler())).patch("/users/1").expect(200, "PATCH");
+
+        const controllers = { UserController: { update: (req, res) => res.end() } };
+        const data = createRouter({ controllers }).match(["put", "patch"], "/users/{user}", "UserController@update").toJSON();
+
+        if(JSON.stringify(data.routes.map(route => route.method)) !== JSON.stringify([["put", "patch"]])) {
+          throw new Error(`Expected the route to be cached once, got ${JSON.stringify(data.routes)}.`);
+        }
+
+        const cachedRouter = createRouter.fromCache(data, { options: { controllers } });
+
+        if(cachedRouter.list()[0].method !== "PUT|PATCH") {
+          throw new Error("Expected the route to be rebuilt for each of the methods.");
+        }
+      });
+
+      it("passes the first method, and every method, to a custom mapActionToHandler", function() {
+        const calls = [];
+        const mappingRouter = createRouter((action, routeDescription, routeOptions) => {
+          calls.push(`${routeOptions.method} ${routeOptions.methods} ${routeDescription.methods}`);
+
+          return action;
+        });
+
+        mappingRouter.match(["GET", "post"], "/contact", () => {});
+        mappingRouter.put("/users", () => {});
+
+        if(calls.join(" / ") !== "get get,post get,post / put put put") {
+          throw new Error(`Unexpected calls ${JSON.stringify(calls)}.`);
+        }
+      });
+
+      it("throws an error when creating a route without an action", function() {
+        let message;
+
+        try {
+          router.match(["get", "post"], "/contact");
+        } catch(e) {
+          message = e.message;
+        }
+
+        if(message !== "Cannot create the route GET|POST /contact: The action is missing.") {
+          throw new Error(`Unexpected error "${message}".`);
+        }
+      });
+    });
+
+    describe("automatic OPTIONS, HEAD and 405 responses", function() {
+      function defineRoutes(router) {
+        router.group("/api", (router) => {
+          router.group("/users", (router) => {
+            router.get("/{user}", (req, res) => res.end("user"));
+            router.put("/{user}", (req, res) => res.end());
+          });
+        });
+        router.fallback((req, res) => {
+          res.statusCode = 404;
+          res.end("fallback");
+        });
+      }
+
+      it("responds with a 405 to requests with unsupported methods, before the fallback routes", async function() {
+        defineRoutes(router);
+
+        await supertest(app).get("/api/users/1").expect(200, "user");
+        await supertest(app).head("/api/users/1").expect(200);
+        await supertest(app).delete("/api/users/1").expect("Allow", "GET, HEAD, PUT, OPTIONS").expect(405);
+        await supertest(app).options("/api/users/1").expect("Allow", "GET, HEAD, PUT, OPTIONS").expect(200);
+        await supertest(app).delete("/api/posts/1").expect(404, "fallback");
+      });
+
+      it("responds to OPTIONS and HEAD requests on generic routers", async function() {
+        defineRoutes(nodeRouter);
+
+        const server = http.createServer(nodeRouter.handler());
+
+        await supertest(server).head("/api/users/1").expect(200);
+        await supertest(server).options("/api/users/1").expect("Allow", "GET, HEAD, PUT, OPTIONS").expect(200, "GET, HEAD, PUT, OPTIONS");
+        await supertest(server).delete("/api/users/1").expect("Allow", "GET, HEAD, PUT, OPTIONS").expect(405);
+
+        const fallbackRouter = createRouter({ methodNotAllowed: false });
+
+        defineRoutes(fallbackRouter);
+
+        await supertest(http.createServer(fallbackRouter.handler())).delete("/api/users/1").expect(404, "fallback");
+
+        const strictMethodRouter = createRouter({ automaticOptions: false, automaticHead: false });
+
+        defineRoutes(strictMethodRouter);
+
+        const strictServer = http.createServer(strictMethodRouter.handler());
+
+        await supertest(strictServer).delete("/api/users/1").expect("Allow", "GET, PUT").expect(405, "Method Not Allowed");
+        await supertest(strictServer).head("/api/users/1").expect("Allow", "GET, PUT").expect(405);
+        await supertest(strictServer).options("/api/users/1").expect(405);
+      });
+    });
+
+    describe("router.url(name:string, params:object, { absolute: true })", function() {
+      it("creates absolute urls using the \"baseUrl\" option", function() {
+        const absoluteRouter = createRouter(app, { baseUrl: "https://example.com/" });
+
+        absoluteRouter.get({ uri: "/users/{user}", name: "users.show" }, () => {});
+
+        const url = absoluteRouter.url("users.show", { user: 1, tab: "posts" }, { absolute: true });
+
+        if(url !== "https://example.com/users/1?tab=posts") {
+          throw new Error(`Unexpected url "${url}".`);
+        }
+
+        if(absoluteRouter.url("users.show", { user: 1 }) !== "/users/1") {
+          throw new Error("Expected urls to be relative by default.");
+        }
+      });
+
+      it("derives the root from the \"req\" option, respecting trusted proxy headers", function() {
+        const req = {
+          headers: {
+            host: "localhost:3000",
+            "x-forwarded-proto": "https, http",
+            "x-forwarded-host": "example.org"
+          }
+        };
+        const proxiedRouter = createRouter(app, { baseUrl: "https://example.com", trustProxy: true });
+
+        router.get({ uri: "/users", name: "users.index" }, () => {});
+        proxiedRouter.get({ uri: "/users", name: "users.index" }, () => {});
+
+        const url = router.url("users.index", {}, { absolute: true, req });
+        const proxiedUrl = proxiedRouter.url("users.index", {}, { absolute: true, req });
+
+        if(url !== "http://localhost:3000/users" || proxiedUrl !== "https://example.org/users") {
+          throw new Error(`Unexpected urls "${url}" and "${proxiedUrl}".`);
+        }
+      });
+
+      it("throws an error if the root cannot be determined", function() {
+        router.get({ uri: "/", name: "home" }, () => {});
+
+        let error;
+
+        try {
+          router.url("home", {}, { absolute: true });
+        } catch(e) {
+          error = e;
+        }
+
+        if(!error || !/baseUrl/.test(error.message)) {
+          throw new Error("Expected an error for the missing root.");
+        }
+      });
 
+      it("fills in the params of the group \"domain\"", function() {
+        const domainRouter = createRouter(app, { baseUrl: "https://example.com" });
+
+        domainRouter.group({ domain: "{account}.example.com", patterns: { account: /^[a-z]+$/ } }, (router) => {
+          router.get({ uri: "/users/{user}", name: "accountUser" }, () => {});
         });
 
-        const getUserUrl = router.url("base.version.users.getUser", {version: 1, user: 2});
-        const getUserUrlResult = "/api/v1/users/2";
-        if(getUserUrl !== getUserUrlResult) {
-          throw new Error(`Expected "${getUserUrlResult}", got ${getUserUrl} instead.`);
+        const url = domainRouter.url("accountUser", { account: "acme", user: 1, tab: "posts" });
+
+        if(url !== "https://acme.example.com/users/1?tab=posts") {
+          throw new Error(`Unexpected url "${url}".`);
         }
 
-        const getNameUrl = router.url("base.version.users.getName", {version: 1, user: "shaunpersad"});
-        const getNameUrlResult = "/api/v1/users/shaunpersad/name";
+        let error;
 
-        if(getNameUrl !== getNameUrlResult) {
-          throw new Error(`Expected "${getNameUrlResult}", got ${getNameUrl} instead.`);
+        try {
+          domainRouter.url("accountUser", { account: "ac-me", user: 1 });
+        } catch(e) {
+          error = e;
         }
 
-        supertest(app).get(getUserUrl).expect(200).end((err, res) => {
-          if(err) {
-            throw err;
-          }
+        if(!error) {
+          throw new Error("Expected the domain params to honor their patterns.");
+        }
+      });
 
-          if(res.body.mCount !== mCount) {
-            throw new Error("Not all middlewares have been traversed");
+      it("signs the scheme and host of absolute urls", function(done) {
+        const signedRouter = createRouter(app, { signingKey: "secret", baseUrl: "https://example.com", trustProxy: true });
+
+        signedRouter.get({ uri: "/unsubscribe/{user}", name: "unsubscribe", middleware: ["signed"] }, (req, res) => {
+          res.send("Unsubscribed");
+        });
+
+        const url = signedRouter.signedUrl("unsubscribe", { user: 1 }, { absolute: true });
+        const path = url.replace("https://example.com", "");
+
+        if(!url.startsWith("https://example.com/unsubscribe/1?signature=")) {
+          throw new Error(`Unexpected signed url "${url}".`);
+        }
+
+        supertest(app).get(path).set("X-Forwarded-Host", "example.com").set("X-Forwarded-Proto", "https").expect(200, (err) => {
+          if(err) {
+            return done(err);
           }
 
-          supertest(app).get(getNameUrl).expect(200, "shaunpersad", done);
+          supertest(app).get(path).set("X-Forwarded-Host", "other.com").set("X-Forwarded-Proto", "https").expect(403, done);
         });
       });
     });
 
-    describe("router.url(name:string, params:object)", function() {
-      it("generates urls to routes that have been named", function() {
-        router.group({
-          prefix: "/foo",
-          namespace: "bar."
-        }, (router) => {
-          router.route({ name: "baz" }, (req, res) => {
-            res.send("OK");
-          });
-        });
+    describe("router.signedUrl(name:string, params:object[, options:object])", function() {
+      let signedRouter;
 
-        router.route({ uri: "/", name: "index" }, (req, res) => {
-          res.send("OK");
-        });
+      beforeEach(function() {
+        signedRouter = createRouter(app, { signingKey: "secret" });
 
-        const barBaz = router.url("bar.baz");
-        const barBazResult = "/foo";
+        signedRouter.get({
+          uri: "/unsubscribe/{user}",
+          name: "unsubscribe",
+          middleware: ["signed"]
+        }, (req, res) => res.send(`Unsubscribed ${req.params.user}`));
+      });
 
-        if(barBaz !== barBazResult) {
-          throw new Error(`Expected "${barBazResult}", got "${barBaz}" instead`);
+      it("creates urls that the \"signed\" middleware accepts", function(done) {
+        const url = signedRouter.signedUrl("unsubscribe", { user: 1, list: ["a", "b"], ref: "mail" });
+
+        if(!/^\/unsubscribe\/1\?.*&signature=[0-9a-f]{64}$/.test(url)) {
+          throw new Error(`Unexpected signed url "${url}".`);
         }
 
-        const index = router.url("index");
-        const indexResult = "/";
+        supertest(app).get(url).expect(200, "Unsubscribed 1", (err) => {
+          if(err) {
+            return done(err);
+          }
 
-        if(index !== indexResult) {
-          throw new Error(`Expected "${indexResult}", got "${index}" instead`);
-        }
+          // The same query params, in another order and encoding:
+          const [, query] = url.split("?");
+          const signature = query.split("&").pop();
+
+          supertest(app)
+            .get(`/unsubscribe/1?ref=mail&list[1]=b&list[0]=a&${signature}`)
+            .expect(200, done);
+        });
       });
 
-      it("fills in params with the values supplied", function() {
-        router.group({
-          prefix: "/{foo}"
-        }, (router) => {
-          router.route({ uri: "/{bar}", name: "baz" }, (req, res) => {
-            res.send("OK");
+      it("rejects the signed urls of one domain on another", function(done) {
+        signedRouter.group({ domain: "{tenant}.ex.com" }, (router) => {
+          router.get({ uri: "/invoices/{invoice}", name: "invoices.show", middleware: ["signed"] }, (req, res) => {
+            res.send(`invoice ${req.params.invoice} of ${req.params.tenant}`);
           });
         });
 
-        const baz = router.url("baz", {foo: 1, bar: 2});
-        const bazResult = "/1/2";
+        const url = signedRouter.signedUrl("invoices.show", { tenant: "acme", invoice: 5 });
+        const path = url.replace("http://acme.ex.com", "");
 
-        if(baz !== bazResult) {
-          throw new Error(`Expected "${bazResult}", got "${baz}" instead`);
+        if(!/^http:\/\/acme\.ex\.com\/invoices\/5\?signature=/.test(url)) {
+          throw new Error(`Unexpected signed url "${url}".`);
         }
-      });
 
-      it("appends a query string if params are found that are not in the uri", function() {
-        router.group({
-          prefix: "/{foo}"
-        }, (router) => {
-          router.route({ uri: "/{bar}", name: "baz" }, (req, res) => {
-            res.send("OK");
-          });
+        supertest(app).get(path).set("Host", "acme.ex.com").expect(200, "invoice 5 of acme", (err) => {
+          if(err) {
+            return done(err);
+          }
+
+          supertest(app).get(path).set("Host", "evil.ex.com").expect(403, "Invalid signature.", done);
         });
+      });
 
-        const baz = router.url("baz", {foo: 1, bar: 2, a: "b", c: {d: "e"}}, {encode: false});
-        const bazResult = "/1/2?a=b&c[d]=e";
+      it("rejects tampered urls", function(done) {
+        const url = signedRouter.signedUrl("unsubscribe", { user: 1 });
 
-        if(baz !== bazResult) {
-          throw new Error(`Expected "${bazResult}", got "${baz}" instead`);
-        }
+        supertest(app).get(url.replace("/1?", "/2?")).expect(403, "Invalid signature.", (err) => {
+          if(err) {
+            return done(err);
+          }
 
-      });
+          supertest(app).get(`${url}&extra=1`).expect(403, (err) => {
+            if(err) {
+              return done(err);
+            }
 
-      it("throws an error if a non-optional param is not supplied", function() {
-        router.group({
-          prefix: "/{foo}"
-        }, (router) => {
-          router.route({ uri: "/{bar}", name: "baz" }, (req, res) => {
-            res.send("OK");
+            supertest(app).get("/unsubscribe/1").expect(403, done);
           });
         });
+      });
 
-        let error = false;
+      it("creates temporary signed urls, using the \"expiresAt\" option", function(done) {
+        const url = signedRouter.signedUrl("unsubscribe", { user: 1 }, { expiresAt: Date.now() + 60000 });
+        const expiredUrl = signedRouter.signedUrl("unsubscribe", { user: 1 }, { expiresAt: new Date(Date.now() - 1000) });
 
-        try {
-          // eslint-disable-next-line
-          const baz = router.url("baz", {foo: 1});
-        } catch(e) { // eslint-disable-line
-          error = true;
+        if(!/\?expires=\d+&signature=/.test(url)) {
+          throw new Error(`Expected the url "${url}" to include the expiry.`);
         }
 
-        if(!error) {
-          throw new Error("Should have thrown an error.");
-        }
-      });
+        supertest(app).get(url).expect(200, (err) => {
+          if(err) {
+            return done(err);
+          }
 
-      it("will not throw an error if an optional param is not supplied", function() {
-        router.group({
-          prefix: "/{foo}"
-        }, (router) => {
-          router.route({ uri: "/{bar?}", name: "baz" }, (req, res) => {
-            res.send("OK");
-          });
+          supertest(app).get(expiredUrl).expect(403, done);
         });
+      });
 
-        const baz = router.url("baz", {foo: 1});
+      it("verifies requests with router.hasValidSignature()", function() {
+        const url = signedRouter.signedUrl("unsubscribe", { user: 1 });
 
-        if(baz !== "/1") {
-          throw new Error(`Expected "/1", got "${baz}" instead`);
+        if(!signedRouter.hasValidSignature({ url }) || signedRouter.hasValidSignature({ url: `${url}0` })) {
+          throw new Error("Expected the signature to be verified.");
         }
       });
-    });
 
-    describe("router.{method}", function() {
-      describe("different HTTP methods can also be routed to via router.{method} (or router[method])", function() {
-        methods.forEach(method => {
-          it(`successfully routes to ${method} requests`, function(done) {
-            const uri = "/foo";
+      it("throws an error if no signing key is configured", function() {
+        router.get({ uri: "/", name: "home" }, () => {});
 
-            router[method](uri, (req, res) => {
-              res.send("OK");
-            });
+        let error;
 
-            supertest(app)[method](uri).expect(200, done);
-          });
-        });
+        try {
+          router.signedUrl("home");
+        } catch(e) {
+          error = e;
+        }
+
+        if(!error) {
+          throw new Error("Should have thrown an error.");
+        }
       });
     });
   });
@@ -1244,6 +3147,273 @@ describe("createRouter(app:express[, mapActionToHandler:function]):Router", func
         });
       });
     });
+
+    describe("router.list():array", function() {
+      it("lists every route, including the routes of nested groups and served uris", function() {
+        function auth(req, res, next) {
+          next();
+        }
+
+        nodeRouter.group({
+          prefix: "/api",
+          namespace: "api.",
+          middleware: [auth],
+          patterns: { user: /^\d+$/ },
+          meta: { version: 1 }
+        }, (router) => {
+          router.group({ prefix: "/users", namespace: "users." }, (router) => {
+            router.get({
+              uri: "/{user}",
+              name: "show",
+              middleware: [(req, res, next) => next()],
+              meta: { summary: "Gets a user" }
+            }, () => {});
+          });
+
+          router.serve("/docs", () => {});
+        });
+
+        nodeRouter.post({ uri: "/login", name: "login" }, () => {});
+
+        const routes = nodeRouter.list();
+        const expected = [
+          { method: "POST", uri: "/login", path: "/login", name: "login", middleware: [] },
+          { method: "GET", uri: "/api/docs", path: "/api/docs", name: "", middleware: ["auth"] },
+          {
+            method: "GET",
+            uri: "/api/users/{user}",
+            path: "/api/users/:user(\\d+)",
+            name: "api.users.show",
+            middleware: ["auth", "Closure"]
+          }
+        ];
+
+        if(routes.length !== expected.length) {
+          throw new Error(`Expected ${expected.length} routes, got ${routes.length} instead.`);
+        }
+
+        expected.forEach((expectedRoute, index) => {
+          for(const [key, value] of Object.entries(expectedRoute)) {
+            if(JSON.stringify(routes[index][key]) !== JSON.stringify(value)) {
+              throw new Error(
+                `Expected the ${key} ${JSON.stringify(value)}, got ${JSON.stringify(routes[index][key])} instead.`
+              );
+            }
+          }
+        });
+
+        if(routes[2].meta.version !== 1 || routes[2].meta.summary !== "Gets a user") {
+          throw new Error("Expected the meta data of the route and its groups to be merged.");
+        }
+
+        if(!routes[2].patterns.user.test("1")) {
+          throw new Error("Expected the patterns of the route and its groups to be merged.");
+        }
+      });
+    });
+
+    describe("router.match(method:string, path:string):object", function() {
+      it("returns the best matching route, with the params extracted from the path", function() {
+        nodeRouter.group({ prefix: "/users", namespace: "users." }, (router) => {
+          router.get({ uri: "/{user}", name: "show", patterns: { user: /^\d+$/ } }, () => {});
+          router.get({ uri: "/{username}", name: "profile" }, () => {});
+          router.get({ uri: "/me", name: "me" }, () => {});
+        });
+
+        const tests = [
+          { path: "/users/me", name: "users.me", params: {} },
+          { path: "/users/12?tab=posts", name: "users.show", params: { user: "12" } },
+          { path: "/users/john", name: "users.profile", params: { username: "john" } }
+        ];
+
+        tests.forEach(({ path, name, params }) => {
+          const { route, params: matchedParams } = nodeRouter.match("GET", path);
+
+          if(route.name !== name || JSON.stringify(matchedParams) !== JSON.stringify(params)) {
+            throw new Error(`Expected "${path}" to match "${name}", got "${route.name}" instead.`);
+          }
+        });
+
+        if(nodeRouter.match("post", "/users/me") !== null) {
+          throw new Error("Expected no match for a method with no routes.");
+        }
+      });
+
+      it("matches routes created on an Express app router", function() {
+        router.get({ uri: "/foo/{bar?}", name: "foo" }, () => {});
+
+        if(router.match("get", "/foo").route.name !== "foo") {
+          throw new Error("Expected \"/foo\" to match.");
+        }
+      });
+    });
+
+    describe("router.handler()", function() {
+      it("dispatches requests to matching routes, filling in req.params and req.query", function(done) {
+        nodeRouter.group({ prefix: "/users/{user}", patterns: { user: /^\d+$/ } }, (router) => {
+          router.get("/posts/{post?}", (req, res) => {
+            res.setHeader("Content-Type", "application/json");
+            res.end(JSON.stringify({ params: req.params, query: req.query }));
+          });
+        });
+
+        const server = http.createServer(nodeRouter.handler());
+
+        supertest(server).get("/users/1/posts/2?sort[by]=date").expect(200, {
+          params: { user: "1", post: "2" },
+          query: { sort: { by: "date" } }
+        }).end((err) => {
+          if(err) {
+            throw err;
+          }
+
+          supertest(server).get("/users/1/posts").expect(200, {
+            params: { user: "1" },
+            query: {}
+          }).end((err) => {
+            if(err) {
+              throw err;
+            }
+
+            supertest(server).get("/users/one/posts").expect(404, done);
+          });
+        });
+      });
+
+      it("parses the query string after the first \"?\" only", function(done) {
+        nodeRouter.get("/q", (req, res) => res.end(JSON.stringify(req.query)));
+
+        supertest(http.createServer(nodeRouter.handler()))
+          .get("/q?a=1?b=2")
+          .expect(200, JSON.stringify({ a: "1?b=2" }), done);
+      });
+
+      it("runs the middleware stack, passing control on with next()", function(done) {
+        const middleware = [
+          (req, res, next) => {
+            req.cumulative = ["first"];
+            next();
+          },
+          async (req, res, next) => {
+            req.cumulative.push("second");
+            next();
+          }
+        ];
+
+        nodeRouter.get({ uri: "/foo", middleware }, (req, res) => {
+          res.end(req.cumulative.join(","));
+        });
+
+        supertest(http.createServer(nodeRouter.handler()))
+          .get("/foo")
+          .expect(200, "first,second", done);
+      });
+
+      it("moves on to the next matching route when next(\"route\") is called", function(done) {
+        nodeRouter.get("/{name}", (req, res, next) => {
+          next(req.params.name === "skip" ? "route" : undefined);
+        }, (req, res) => {
+          res.end("first");
+        });
+
+        nodeRouter.get("/{other}", (req, res) => {
+          res.end("second");
+        });
+
+        supertest(http.createServer(nodeRouter.handler()))
+          .get("/skip")
+          .expect(200, "second", done);
+      });
+
+      it("passes errors to error handlers, or responds with a 500", function(done) {
+        nodeRouter.get({ uri: "/handled", middleware: [() => {
+          throw new Error("Handled");
+        }] }, [
+          (req, res) => res.end("Unreachable"),
+          (err, req, res, next) => { // eslint-disable-line no-unused-vars
+            res.end(err.message);
+          }
+        ]);
+
+        nodeRouter.get("/rejected", async () => {
+          throw new Error("Rejected");
+        });
+
+        const server = http.createServer(nodeRouter.handler());
+
+        supertest(server).get("/rejected").expect(500).end((err) => {
+          if(err) {
+            throw err;
+          }
+
+          supertest(server).get("/handled").expect(200, "Handled", done);
+        });
+      });
+
+      it("passes errors on to the error handlers of the next matching routes", function(done) {
+        nodeRouter.get("/items/{id}", (req, res, next) => next(new Error("Not found")));
+        nodeRouter.get("/items/{id}", (req, res) => res.end("Unreachable"));
+        nodeRouter.get("/items/{any}", (err, req, res, next) => { // eslint-disable-line no-unused-vars
+          res.end(`Handled: ${err.message}`);
+        });
+
+        supertest(http.createServer(nodeRouter.handler()))
+          .get("/items/1")
+          .expect(200, "Handled: Not found", done);
+      });
+
+      it("ends the response instead of responding again when a handler fails after responding", async function() {
+        nodeRouter.get("/sync", (req, res) => {
+          res.end("sent");
+          throw new Error("Failed after responding");
+        });
+        nodeRouter.get("/async", async (req, res) => {
+          res.end("sent");
+          throw new Error("Failed after responding");
+        });
+        nodeRouter.get("/next", (req, res, next) => {
+          res.end("sent");
+          next(new Error("Failed after responding"));
+        });
+
+        const server = http.createServer(nodeRouter.handler());
+
+        await supertest(server).get("/sync").expect(200, "sent");
+        await supertest(server).get("/async").expect(200, "sent");
+        await supertest(server).get("/next").expect(200, "sent");
+      });
+
+      it("serves mounted (static) middleware relative to the mount uri", function(done) {
+        nodeRouter.group("/assets", (router) => {
+          router.serve("/css", (req, res) => {
+            res.end(req.url);
+          });
+        });
+
+        supertest(http.createServer(nodeRouter.handler()))
+          .get("/assets/css/app.css")
+          .expect(200, "/app.css", done);
+      });
+
+      it("can be mounted on an Express app, passing unhandled requests on", function(done) {
+        nodeRouter.get("/foo", (req, res) => {
+          res.send("FOO");
+        });
+
+        app.use(nodeRouter.handler());
+        app.use((req, res) => {
+          res.status(404).send("Express");
+        });
+
+        supertest(app).get("/foo").expect(200, "FOO", (err) => {
+          if(err) {
+            throw err;
+          }
+
+          supertest(app).get("/bar").expect(404, "Express", done);
+        });
+      });
+    });
   });
 
   describe("mapActionToHandler(action:*, routeDescription:object, routeOptions:object)", function() {
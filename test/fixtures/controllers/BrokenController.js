@@ -0,0 +1,9 @@
+"use strict";
+
+require("not-installed-pkg");
+
+module.exports = class BrokenController {
+  index(req, res) {
+    res.send("broken");
+  }
+};
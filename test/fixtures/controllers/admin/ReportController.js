@@ -0,0 +1,7 @@
+"use strict";
+
+module.exports = class ReportController {
+  index(req, res) {
+    res.send("reports");
+  }
+};
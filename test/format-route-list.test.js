@@ -0,0 +1,22 @@
+"use strict";
+
+const formatRouteList = require("../lib/format-route-list");
+
+describe("formatRouteList(routes:array):string", function() {
+  it("should format the routes into a table with aligned columns", function() {
+    const routes = [
+      { method: "GET", uri: "/users/{user}", name: "users.show", middleware: ["auth", "Closure"] },
+      { method: "DELETE", uri: "/users/{user}", name: "", middleware: [] }
+    ];
+    const expected = [
+      "METHOD  URI            NAME        MIDDLEWARE",
+      "GET     /users/{user}  users.show  auth, Closure",
+      "DELETE  /users/{user}"
+    ].join("\n");
+    const table = formatRouteList(routes);
+
+    if(table !== expected) {
+      throw new Error(`Expected:\n${expected}\nGot:\n${table}`);
+    }
+  });
+});
@@ -0,0 +1,68 @@
+"use strict";
+
+const compileSchema = require("../lib/json-schema");
+
+describe("compileSchema(schema:object|boolean):function", function() {
+  it("should return no errors for valid data", function() {
+    const validate = compileSchema({
+      type: "object",
+      properties: {
+        id: { type: "integer", minimum: 1 },
+        email: { type: "string", format: "email" },
+        tags: { type: "array", items: { type: "string" }, maxItems: 2 },
+        status: { enum: ["draft", "published"] },
+        note: { type: ["string", "null"] }
+      },
+      required: ["id", "email"],
+      additionalProperties: false
+    });
+
+    const errors = validate({ id: 1, email: "jane@example.com", tags: ["a"], status: "draft", note: null, body: undefined });
+
+    if(errors.length) {
+      throw new Error(`Unexpected errors ${JSON.stringify(errors)}.`);
+    }
+  });
+
+  it("should return the errors with the JSON pointers to the invalid values", function() {
+    const validate = compileSchema({
+      type: "object",
+      properties: {
+        id: { type: "integer", minimum: 1 },
+        email: { type: "string", format: "email" },
+        tags: { type: "array", items: { type: "string", pattern: "^[a-z]+$" } },
+        "a/b": { anyOf: [{ type: "string" }, { type: "number" }] }
+      },
+      required: ["id", "name"],
+      additionalProperties: false
+    });
+
+    const errors = validate({ id: 0, email: "jane", tags: ["ok", "NOT"], "a/b": true, extra: 1 });
+    const expected = [
+      { pointer: "/name", message: "is required" },
+      { pointer: "/id", message: "must be greater than or equal to 1" },
+      { pointer: "/email", message: "must be a valid email" },
+      { pointer: "/tags/1", message: "must match the pattern ^[a-z]+$" },
+      { pointer: "/a~1b", message: "must match at least one of the allowed schemas" },
+      { pointer: "/extra", message: "is not allowed" }
+    ];
+
+    if(JSON.stringify(errors) !== JSON.stringify(expected)) {
+      throw new Error(`Unexpected errors ${JSON.stringify(errors)}.`);
+    }
+  });
+
+  it("should throw an error for invalid schemas", function() {
+    let error;
+
+    try {
+      compileSchema("string");
+    } catch(e) {
+      error = e;
+    }
+
+    if(!error) {
+      throw new Error("Expected an error for the invalid schema.");
+    }
+  });
+});
@@ -0,0 +1,37 @@
+"use strict";
+
+const MemoryStore = require("../lib/memory-store");
+
+describe("MemoryStore", function() {
+  it("counts the attempts per key in fixed time windows", function() {
+    const store = new MemoryStore();
+    const now = Date.now();
+
+    store.increment("a", 60);
+
+    const { hits, resetTime } = store.increment("a", 60);
+
+    if(hits !== 2 || resetTime < now + 60000 || store.increment("b", 60).hits !== 1) {
+      throw new Error(`Unexpected attempts ${JSON.stringify({ hits, resetTime })}.`);
+    }
+  });
+
+  it("starts a new time window, and forgets the attempts of ended windows", function() {
+    const store = new MemoryStore();
+
+    store.increment("a", 60);
+    store.increment("b", 60);
+    store.attempts.get("a").resetTime = Date.now() - 1;
+    store.attempts.get("b").resetTime = Date.now() - 1;
+
+    if(store.increment("a", 60).hits !== 1) {
+      throw new Error("Expected a new time window.");
+    }
+
+    store.prune(Date.now());
+
+    if(store.attempts.has("b") || !store.attempts.has("a")) {
+      throw new Error("Expected the attempts of the ended time window to be forgotten.");
+    }
+  });
+});
@@ -0,0 +1,146 @@
+"use strict";
+
+const createRouter = require("../lib/create-router");
+
+describe("router.openapi([options:object]):object", function() {
+  let validator;
+
+  before(async function() {
+    // The validator is an ES module
+    const { Validator } = await import("@seriousme/openapi-schema-validator");
+
+    validator = new Validator();
+  });
+
+  const userSchema = {
+    title: "User",
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      email: { type: "string", format: "email" }
+    }
+  };
+
+  function defineRoutes(router) {
+    router.group({ prefix: "/api/users", namespace: "users.", whereNumber: "userId" }, (router) => {
+      router.get({
+        uri: "/",
+        name: "index",
+        meta: {
+          summary: "Lists the users",
+          requestSchema: {
+            type: "object",
+            properties: {
+              query: {
+                type: "object",
+                properties: { page: { type: "integer" } },
+                required: ["page"]
+              }
+            }
+          }
+        }
+      }, () => {});
+
+      router.post({
+        uri: "/",
+        name: "store",
+        meta: {
+          summary: "Creates a user",
+          requestSchema: {
+            type: "object",
+            properties: {
+              body: {
+                type: "object",
+                properties: { email: { type: "string" } },
+                required: ["email"]
+              }
+            },
+            required: ["body"]
+          },
+          payloadSchema: userSchema
+        }
+      }, () => {});
+
+      router.get({ uri: "/{userId}/posts/{post?}", name: "posts", meta: { tags: ["posts"] } }, () => {});
+    });
+
+    router.get({
+      uri: "/health",
+      meta: { responses: { "204": { description: "Healthy" } } }
+    }, () => {});
+
+    router.purge("/cache", () => {});
+  }
+
+  it("creates a valid OpenAPI 3.1 document", async function() {
+    const router = createRouter();
+
+    defineRoutes(router);
+
+    const document = router.openapi({
+      info: { title: "Users API", version: "2.0.0" },
+      servers: [{ url: "https://api.example.com" }]
+    });
+
+    const { valid, errors } = await validator.validate(document);
+
+    if(!valid) {
+      throw new Error(`Invalid OpenAPI document: ${JSON.stringify(errors)}`);
+    }
+
+    if(document.info.title !== "Users API" || document.servers[0].url !== "https://api.example.com") {
+      throw new Error("Expected the document to include the info and servers.");
+    }
+
+    const paths = Object.keys(document.paths).join(",");
+
+    if(paths !== "/api/users,/api/users/{userId}/posts/{post},/api/users/{userId}/posts,/health") {
+      throw new Error(`Unexpected paths "${paths}".`);
+    }
+  });
+
+  it("describes the params, request body and responses of the operations", function() {
+    const router = createRouter();
+
+    defineRoutes(router);
+
+    const { paths, tags } = router.openapi();
+    const index = paths["/api/users"].get;
+    const store = paths["/api/users"].post;
+    const posts = paths["/api/users/{userId}/posts/{post}"].get;
+    const postsWithoutPost = paths["/api/users/{userId}/posts"].get;
+
+    if(JSON.stringify(tags) !== JSON.stringify([{ name: "users" }, { name: "posts" }])) {
+      throw new Error(`Unexpected tags ${JSON.stringify(tags)}.`);
+    }
+
+    if(index.operationId !== "users.index" || index.summary !== "Lists the users" || index.tags[0] !== "users") {
+      throw new Error("Expected the operation to be described by the route name, meta and namespace.");
+    }
+
+    if(JSON.stringify(index.parameters) !== JSON.stringify([
+      { in: "query", name: "page", required: true, schema: { type: "integer" } }
+    ])) {
+      throw new Error(`Unexpected query params ${JSON.stringify(index.parameters)}.`);
+    }
+
+    if(!store.requestBody.required || store.responses["200"].content["application/json"].schema !== userSchema) {
+      throw new Error("Expected the request body and the response to be described by the route schemas.");
+    }
+
+    if(JSON.stringify(posts.parameters) !== JSON.stringify([
+      { in: "path", name: "userId", required: true, schema: { type: "string", pattern: "^[0-9]+$" } },
+      { in: "path", name: "post", required: true, schema: { type: "string" } }
+    ])) {
+      throw new Error(`Unexpected path params ${JSON.stringify(posts.parameters)}.`);
+    }
+
+    if(postsWithoutPost.operationId !== undefined || postsWithoutPost.parameters.length !== 1) {
+      throw new Error("Expected the path without the optional param to have no operation id.");
+    }
+
+    if(paths["/health"].get.responses["204"].description !== "Healthy" || paths["/cache"]) {
+      throw new Error("Expected custom responses, and no operations for unsupported methods.");
+    }
+  });
+});
@@ -0,0 +1,34 @@
+"use strict";
+
+const resourceRoutes = require("../lib/resource-routes");
+
+describe("resourceRoutes", function() {
+  it("should name the route params after the singular form of the resource", function() {
+    const tests = {
+      photos: "photo",
+      categories: "category",
+      classes: "class",
+      boxes: "box",
+      matches: "match",
+      wishes: "wish",
+      houses: "house",
+      responses: "response",
+      courses: "course",
+      licenses: "license",
+      purchases: "purchase",
+      movies: "movie",
+      quizzes: "quiz",
+      statuses: "status",
+      buses: "bus",
+      address: "address"
+    };
+
+    Object.entries(tests).forEach(([resource, param]) => {
+      const show = resourceRoutes(resource).find(route => route.action === "show");
+
+      if(show.uri !== `/${resource}/{${param}}`) {
+        throw new Error(`Expected the uri "/${resource}/{${param}}", got "${show.uri}" instead.`);
+      }
+    });
+  });
+});
@@ -0,0 +1,147 @@
+"use strict";
+
+const createRouteTable = require("../lib/route-table");
+
+describe("createRouteTable():object", function() {
+  it("should give static segments priority over segments with params", function() {
+    const table = createRouteTable();
+
+    table.add({ method: "get", uri: "/users/{id}", patterns: {} });
+    table.add({ method: "get", uri: "/users/me", patterns: {} });
+
+    const { route, params } = table.match("get", "/users/me");
+
+    if(route.uri !== "/users/me" || Object.keys(params).length) {
+      throw new Error(`Expected "/users/me" to match itself, got "${route.uri}" instead.`);
+    }
+  });
+
+  it("should check params against their patterns", function() {
+    const table = createRouteTable();
+
+    table.add({ method: "get", uri: "/posts/{id}", patterns: { id: /^\d+$/ } });
+    table.add({ method: "get", uri: "/posts/{slug}", patterns: {} });
+
+    if(table.match("get", "/posts/12").params.id !== "12") {
+      throw new Error("Expected \"/posts/12\" to match \"/posts/{id}\".");
+    }
+
+    if(table.match("get", "/posts/hello-world").params.slug !== "hello-world") {
+      throw new Error("Expected \"/posts/hello-world\" to match \"/posts/{slug}\".");
+    }
+  });
+
+  it("should match routes below params that only differ by their names in the order they were added", function() {
+    const table = createRouteTable();
+
+    table.add({ method: "get", uri: "/a/{x}/b", patterns: {} });
+    table.add({ method: "get", uri: "/a/{y}/{z}", patterns: {} });
+    table.add({ method: "get", uri: "/a/{x}/{w}", patterns: {} });
+
+    const { route, params } = table.match("get", "/a/1/c");
+
+    if(route.uri !== "/a/{y}/{z}" || JSON.stringify(params) !== JSON.stringify({ y: "1", z: "c" })) {
+      throw new Error(`Expected "/a/1/c" to match "/a/{y}/{z}", got "${route.uri}" instead.`);
+    }
+
+    if(JSON.stringify(table.match("get", "/a/1/b").params) !== JSON.stringify({ x: "1" })) {
+      throw new Error("Expected \"/a/1/b\" to match \"/a/{x}/b\".");
+    }
+  });
+
+  it("should match routes with and without their optional params", function() {
+    const table = createRouteTable();
+
+    table.add({ method: "get", uri: "/archive/{year?}/{month?}", patterns: {} });
+
+    const tests = [
+      { path: "/archive", params: {} },
+      { path: "/archive/2024", params: { year: "2024" } },
+      { path: "/archive/2024/05/", params: { year: "2024", month: "05" } }
+    ];
+
+    tests.forEach(({ path, params }) => {
+      const match = table.match("GET", path);
+
+      if(!match || JSON.stringify(match.params) !== JSON.stringify(params)) {
+        throw new Error(`"${path}" did not match with the params ${JSON.stringify(params)}.`);
+      }
+    });
+  });
+
+  it("should yield every match in order of priority, and match mounts by prefix", function() {
+    const table = createRouteTable();
+
+    table.add({ method: "get", uri: "/assets", patterns: {}, mount: true });
+    table.add({ method: "get", uri: "/{page}/{file}", patterns: {} });
+    table.add({ method: "get", uri: "/assets/app.css", patterns: {} });
+
+    const matches = Array.from(table.lookup("get", "/assets/app.css"));
+    const uris = matches.map(match => match.route.uri);
+
+    if(uris.join(",") !== "/assets/app.css,/assets,/{page}/{file}") {
+      throw new Error(`Unexpected order of matches: ${uris.join(",")}`);
+    }
+
+    if(matches[1].remainder !== "/app.css") {
+      throw new Error(`Expected the remainder "/app.css", got "${matches[1].remainder}" instead.`);
+    }
+  });
+
+  it("should only match routes restricted to a domain for hosts of that domain", function() {
+    const table = createRouteTable();
+
+    table.add({ method: "get", uri: "/", domain: "{tenant}.example.com", patterns: { tenant: /^[a-z]+$/ } });
+    table.add({ method: "get", uri: "/", patterns: {} });
+
+    const tenantMatch = table.match("get", "/", "acme.example.com:3000");
+
+    if(tenantMatch.route.domain !== "{tenant}.example.com" || tenantMatch.params.tenant !== "acme") {
+      throw new Error("Expected \"acme.example.com\" to match the domain with the tenant param.");
+    }
+
+    const otherMatches = ["ac-me.example.com", "example.com", undefined].map(host => table.match("get", "/", host));
+
+    if(otherMatches.some(match => match.route.domain)) {
+      throw new Error("Expected other hosts not to match the domain.");
+    }
+  });
+
+  it("should match fallback routes (and \"all\" routes) for any method, after every other route", function() {
+    const table = createRouteTable();
+
+    table.add({ method: "all", uri: "/{fallbackPlaceholder?}", patterns: {}, fallback: true });
+    table.add({ method: "all", uri: "/api/{fallbackPlaceholder?}", patterns: {}, fallback: true });
+    table.add({ method: "all", uri: "/api/{resource}", patterns: {} });
+
+    const matches = Array.from(table.lookup("delete", "/api/users"));
+    const uris = matches.map(match => match.route.uri);
+
+    if(uris.join(",") !== "/api/{resource},/api/{fallbackPlaceholder?},/{fallbackPlaceholder?}") {
+      throw new Error(`Unexpected order of matches: ${uris.join(",")}`);
+    }
+
+    if(matches[1].params.fallbackPlaceholder !== "users" || matches[2].params.fallbackPlaceholder !== "api/users") {
+      throw new Error(`Unexpected fallback params ${JSON.stringify(matches.map(match => match.params))}.`);
+    }
+  });
+
+  it("should list the methods of the routes matching a path, and match HEAD requests to GET routes", function() {
+    const table = createRouteTable();
+
+    table.add({ method: "get", uri: "/users/{user}", patterns: {} });
+    table.add({ method: "put", uri: "/users/{user}", patterns: {} });
+    table.add({ method: "get", uri: "/users/{user}/{tab?}", patterns: {} });
+    table.add({ method: "all", uri: "/{fallbackPlaceholder?}", patterns: {}, fallback: true });
+
+    const methods = table.methods("/users/1");
+
+    if(methods.join(",") !== "get,put" || table.methods("/posts/1").length !== 0) {
+      throw new Error(`Unexpected methods ${JSON.stringify(methods)}.`);
+    }
+
+    if(table.match(["head", "get"], "/users/1").route.method !== "get" || table.match("head", "/users/1").route.fallback !== true) {
+      throw new Error("Expected HEAD requests to match GET routes only when listed.");
+    }
+  });
+});
@@ -0,0 +1,58 @@
+"use strict";
+
+const uriToRegex = require("../lib/uri-to-regex");
+
+describe("uriToRegex(uri:string[, patterns:object, options:object]):object", function() {
+  it("should match paths against Laravel-style and Express-style uris", function() {
+    const tests = [
+      { uri: "/", path: "/", params: [] },
+      { uri: "/foo", path: "/FOO/", params: [] },
+      { uri: "/foo/{bar}", path: "/foo/thing", params: ["thing"] },
+      { uri: "/foo/:bar/baz/{qux}", path: "/foo/thing/baz/other", params: ["thing", "other"] },
+      { uri: "/foo/{bar?}", path: "/foo", params: [undefined] },
+      { uri: "/foo/:bar?", path: "/foo/thing", params: ["thing"] },
+      { uri: "/api/v{version}", path: "/api/v2", params: ["2"] },
+      { uri: "/files/{name}.{ext}", path: "/files/report.pdf", params: ["report", "pdf"] }
+    ];
+
+    tests.forEach(({ uri, path, params }) => {
+      const { regex, keys } = uriToRegex(uri);
+      const matches = regex.exec(path);
+
+      if(!matches) {
+        throw new Error(`"${uri}" did not match "${path}".`);
+      }
+
+      keys.forEach((key, index) => {
+        if(matches[key.index] !== params[index]) {
+          throw new Error(
+            `Expected "${params[index]}" for the param "${key.name}" of "${uri}", ` +
+            `got "${matches[key.index]}" instead.`
+          );
+        }
+      });
+    });
+  });
+
+  it("should constrain params using the supplied patterns", function() {
+    const { regex, keys } = uriToRegex("/{foo}/{bar}", { foo: /^(a|b)$/, bar: /^\d+$/ });
+
+    if(regex.test("/c/1") || regex.test("/a/one")) {
+      throw new Error("The patterns were not honored.");
+    }
+
+    const matches = regex.exec("/b/1");
+
+    if(matches[keys[0].index] !== "b" || matches[keys[1].index] !== "1") {
+      throw new Error("Capturing groups in patterns should not shift the params.");
+    }
+  });
+
+  it("should match paths that start with the uri, if the \"end\" option is false", function() {
+    const { regex } = uriToRegex("/assets", {}, { end: false });
+
+    if(!regex.test("/assets/app.css") || regex.test("/assets-old")) {
+      throw new Error("Paths were not matched by prefix.");
+    }
+  });
+});